@@ -0,0 +1,265 @@
+// === ATS ANALİZİ ===
+// İlan metninden anahtar kelimeleri çıkarır, CV ile eşleştirir ve ATS'lerin
+// okumakta zorlandığı kalıplar için uyarı üretir. Tamamen yerel çalışır,
+// hiçbir veri dışarı gönderilmez. DOM'a dokunmaz; paneli script.js çizer.
+
+// İlanlarda sık geçen ama aday hakkında bilgi taşımayan kelimeler (TR + EN)
+const STOP_WORDS = new Set((
+    // Türkçe
+    've veya ile için gibi olan olarak bir bu şu o da de ki mi ya çok daha en her ' +
+    'tüm bütün ise ancak fakat ama hem kadar sonra önce üzere göre ait dair diğer ' +
+    'bizim sizin onun kendi olmak etmek yapmak sahip aranan aranıyor arıyoruz ' +
+    'tercihen tercih tercihimiz nitelikler nitelik genel iş ilanı ilan pozisyon ' +
+    'pozisyonu aday adaylar adayların firmamız şirketimiz şirket bünyesinde ' +
+    'çalışacak çalışmak çalışma yıl yıllık en az minimum asgari konusunda alanında ' +
+    'bilgi bilgisi bilgili deneyim deneyimi deneyimli tecrübe tecrübeli tecrübesi ' +
+    'iyi yüksek güçlü olumlu yetkin yetenek yeteneği becerisi sorumluluklar ' +
+    'görev görevler tanımı hakim hakimiyeti sahibi olması olmak kullanabilen ' +
+    'konularında tam zamanlı yarı ofis lokasyon başvuru başvurular ' +
+    'ileri düzey düzeyde seviye seviyesi seviyede mezun mezunu uzman uzmanı ' +
+    // English
+    'and or the a an to of in on at for with by from as is are be been being ' +
+    'this that these those it its our your their we you they will would should ' +
+    'can could may must have has had do does did not no but if then than so such ' +
+    'into about over under within across per via etc including include includes ' +
+    'job role position candidate candidates company team looking seeking join ' +
+    'required requirements preferred plus nice years year experience experienced ' +
+    'knowledge understanding ability able strong good excellent solid proven ' +
+    'skills skill responsibilities responsible work working full time based ' +
+    'apply application opportunity new well using use also other'
+).split(/\s+/));
+
+// Çok kelimeli yetkinlikler ayrı ayrı kelimelere bölünmesin diye önce bunlar aranır
+const KNOWN_PHRASES = [
+    'power bi', 'machine learning', 'deep learning', 'data analysis', 'data science',
+    'project management', 'supply chain', 'six sigma', 'lean manufacturing', 'process improvement',
+    'business intelligence', 'continuous improvement', 'problem solving', 'microsoft office',
+    'google analytics', 'rest api', 'unit testing', 'ci/cd', 'sap mm', 'sap pp', 'sap sd', 'ifs erp',
+    'makine öğrenmesi', 'veri analizi', 'veri bilimi', 'proje yönetimi', 'tedarik zinciri',
+    'süreç iyileştirme', 'yalın üretim', 'üretim planlama', 'stok yönetimi', 'kalite yönetimi',
+    'iş zekası', 'sürekli iyileştirme', 'problem çözme', 'takım çalışması', 'satın alma'
+];
+
+// ATS'lerin tanıdığı standart bölüm başlıkları
+const STANDARD_HEADINGS = {
+    experience: ['deneyim', 'iş deneyimi', 'tecrübe', 'experience', 'work experience', 'employment', 'professional experience'],
+    education: ['eğitim', 'öğrenim', 'education'],
+    certificates: ['sertifika', 'sertifikalar', 'certifications', 'certificates', 'licenses'],
+    languages: ['yabancı dil', 'diller', 'languages'],
+    projects: ['proje', 'projeler', 'projects']
+};
+
+const LONG_BULLET_CHARS = 220;
+
+// Ad ve ünvan satırlarına yazılmış iletişim bilgisi
+const CONTACT_PATTERNS = [
+    { label: 'e-posta', pattern: /[^\s@]+@[^\s@]+\.[^\s@]+/ },
+    { label: 'telefon', pattern: /\+?\(?\d(?:[\s().-]{0,2}\d){9,}/ }, // en az 10 hane; "2019 - 2024" değil
+    { label: 'bağlantı', pattern: /https?:\/\/|www\.|linkedin\.com/i }
+];
+
+// Küçük harf; noktalama boşluğa. Kelime içindeki # + . / - kalır (C#, C++, CI/CD),
+// kelime sonundakiler atılır. Kelime başındaki tek nokta yalnızca ardından harf
+// geliyorsa kalır: ".NET" -> ".net" (Türkçedeki "net" ile karışmasın), "...ve" -> "ve".
+// "I" bilerek "i" yapılır: ilanlarda "BI", "CI/CD" gibi İngilizce kısaltmalar
+// büyük Türkçe "I" içeren kelimelerden çok daha sık geçiyor.
+function normalizeText(text) {
+    return (text || '')
+        .replace(/İ/g, 'i')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}#+./\s-]/gu, ' ')
+        .replace(/(^|\s)(?:\.{2,}|\.(?!\p{L})|[/-])+|[./-]+(?=\s|$)/gu, ' ');
+}
+
+// Türkçe/İngilizce eklerin en yaygınlarını at: "analizleri" ~ "analiz", "systems" ~ "system"
+const SUFFIXES = [
+    'larının', 'lerinin', 'larını', 'lerini', 'ları', 'leri', 'ların', 'lerin', 'lar', 'ler',
+    'sının', 'sinin', 'ının', 'inin', 'nın', 'nin', 'nun', 'nün', 'sı', 'si', 'su', 'sü',
+    'ında', 'inde', 'da', 'de', 'ta', 'te', 'dan', 'den', 'tan', 'ten', 'ı', 'i', 'u', 'ü',
+    'ing', 'ed', 'es', 's'
+];
+
+function stem(word) {
+    for (const suffix of SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(/\s+/).filter(Boolean);
+}
+
+function isKeywordToken(token) {
+    if (STOP_WORDS.has(token)) return false;
+    if (/^\d+$/.test(token)) return false;
+    // "c#", "r", "go" gibi kısa teknik isimler sadece özel karakterle kabul edilir
+    return token.length >= 3 || /[#+]/.test(token);
+}
+
+/**
+ * İlandan anahtar kelimeleri çıkarır. Bilinen çok kelimeli yetkinlikler ve
+ * en az iki kez geçen kelime ikilileri önce alınır; tekli kelimeler sıklığa göre.
+ * @returns {Array<{ term: string, weight: number }>} ağırlığa göre sıralı
+ */
+export function extractKeywords(jobText, limit = 30) {
+    const normalized = ' ' + tokenize(jobText).join(' ') + ' ';
+    const keywords = new Map();
+    let remaining = normalized;
+
+    KNOWN_PHRASES.forEach(phrase => {
+        const needle = ' ' + phrase + ' ';
+        const count = normalized.split(needle).length - 1;
+        if (count) {
+            keywords.set(phrase, 2 + count);
+            remaining = remaining.split(needle).join(' ');
+        }
+    });
+
+    const tokens = remaining.split(/\s+/).filter(Boolean);
+
+    // Tekrar eden ikililer (Örn: "üretim planlama") tek bir terim sayılır
+    const pairs = new Map();
+    for (let i = 0; i < tokens.length - 1; i++) {
+        if (isKeywordToken(tokens[i]) && isKeywordToken(tokens[i + 1])) {
+            const pair = tokens[i] + ' ' + tokens[i + 1];
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+    }
+    const pairWords = new Set();
+    pairs.forEach((count, pair) => {
+        if (count >= 2) {
+            keywords.set(pair, 1 + count);
+            pair.split(' ').forEach(w => pairWords.add(stem(w)));
+        }
+    });
+
+    // Tekli kelimeler: aynı köke sahip olanlar birleşir, ilk görülen yazım korunur
+    const singles = new Map();
+    tokens.filter(isKeywordToken).forEach(token => {
+        const root = stem(token);
+        if (pairWords.has(root)) return;
+        const entry = singles.get(root) || { term: token, count: 0 };
+        entry.count++;
+        singles.set(root, entry);
+    });
+    singles.forEach(({ term, count }) => {
+        keywords.set(term, count);
+    });
+
+    return Array.from(keywords, ([term, weight]) => ({ term, weight }))
+        .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term, 'tr'))
+        .slice(0, limit);
+}
+
+// Terimin her kelimesinin kökü CV'de (sırayla, yan yana) geçiyor mu
+function cvContainsTerm(cvStems, term) {
+    const termStems = term.split(' ').map(stem);
+    for (let i = 0; i <= cvStems.length - termStems.length; i++) {
+        if (termStems.every((s, k) => cvStems[i + k] === s)) return true;
+    }
+    return false;
+}
+
+/**
+ * @returns {{ score: number, matched: Array, missing: Array, keywords: Array }}
+ *   score: ağırlıklı eşleşme yüzdesi (0-100); ilan boşsa keywords boş döner
+ */
+export function matchKeywords(jobText, cvText) {
+    const keywords = extractKeywords(jobText);
+    const cvStems = tokenize(cvText).map(stem);
+
+    const matched = [];
+    const missing = [];
+    keywords.forEach(keyword => {
+        (cvContainsTerm(cvStems, keyword.term) ? matched : missing).push(keyword);
+    });
+
+    const total = keywords.reduce((sum, k) => sum + k.weight, 0);
+    const found = matched.reduce((sum, k) => sum + k.weight, 0);
+
+    return {
+        score: total ? Math.round((found / total) * 100) : 0,
+        matched,
+        missing,
+        keywords
+    };
+}
+
+/**
+ * CV modelinde ATS'lerin yanlış okuduğu veya atladığı kalıpları bulur.
+ * @param {Object} data - CV modeli (cv-model.js)
+ * @param {Object} sectionTypes - SECTION_TYPES (alan ve layout bilgisi için)
+ * @returns {Array<{ level: 'error'|'warning', message: string }>}
+ */
+export function findAtsWarnings(data, sectionTypes) {
+    const warnings = [];
+    const p = data.personal;
+    const add = (level, message) => warnings.push({ level, message });
+
+    // İletişim bilgileri
+    if (!p.name.trim()) add('error', 'Ad soyad boş. ATS adayı isimle eşleştirir.');
+    if (!p.email.trim()) {
+        add('error', 'E-posta adresi yok.');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(p.email.trim())) {
+        add('warning', 'E-posta adresi geçerli görünmüyor.');
+    }
+    if (!p.phone.trim()) add('warning', 'Telefon numarası yok.');
+
+    // Dışa aktarılan belgelerde iletişim satırı sayfa üst bilgisine (header) değil
+    // gövdeye yazılır; burada yakalanabilen durum, bilginin başlıktaki ad/ünvan
+    // satırına sıkıştırılması. ATS o satırı ad ve ünvan olarak okur.
+    [['Ad soyad', p.name], ['Ünvan', p.title]].forEach(([field, value]) => {
+        const found = CONTACT_PATTERNS.filter(c => c.pattern.test(value)).map(c => c.label);
+        if (found.length) {
+            add('warning', `${field} satırında iletişim bilgisi var (${found.join(', ')}). ATS bunu iletişim bilgisi olarak okumaz; kendi alanına yazın.`);
+        }
+    });
+    if (!p.summary.trim()) add('warning', 'Özet boş. Özet, anahtar kelimeler için en çok okunan alandır.');
+
+    data.sections.forEach(section => {
+        const type = sectionTypes[section.type];
+        const title = section.title.trim();
+        const standard = STANDARD_HEADINGS[section.type];
+
+        if (standard && !standard.some(h => title.toLocaleLowerCase('tr-TR').includes(h))) {
+            add('warning', `"${title}" standart bir başlık değil. ATS'ler "${standard[0]}" / "${standard[standard.length - 1]}" gibi başlıkları tanır.`);
+        }
+
+        if (section.type === 'text') {
+            checkLongLines(section.content, title, add);
+            return;
+        }
+
+        const dateKey = type.layout && type.layout.date;
+        section.items.forEach((item, i) => {
+            const label = `${title} #${i + 1}`;
+            const hasContent = type.fields.some(f => (item[f.key] || '').trim());
+            if (!hasContent) return;
+
+            // Tarihsiz deneyim/eğitim, ATS'nin süre hesabını bozar
+            if (dateKey === 'date' && ['experience', 'education', 'projects'].includes(section.type)) {
+                if (!(item.date || '').trim()) {
+                    add('warning', `${label}: tarih yok.`);
+                } else if (!/\d{4}/.test(item.date)) {
+                    add('warning', `${label}: tarihte yıl yok ("${item.date}"). Örn: "03/2021 - Devam".`);
+                }
+            }
+
+            const descKey = type.layout && type.layout.desc;
+            if (descKey) checkLongLines(item[descKey], label, add);
+        });
+    });
+
+    return warnings;
+}
+
+function checkLongLines(text, label, add) {
+    (text || '').split('\n').forEach(line => {
+        if (line.trim().length > LONG_BULLET_CHARS) {
+            add('warning', `${label}: ${line.trim().length} karakterlik çok uzun bir madde var. Maddeleri ${LONG_BULLET_CHARS} karakterin altında tutun.`);
+        }
+    });
+}
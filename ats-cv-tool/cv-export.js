@@ -0,0 +1,520 @@
+// === DIŞA AKTARMA: PDF / DOCX / TXT ===
+// Üç çıktı da cv-model.js'deki buildExportDocument() ile üretilen aynı sade
+// belgeden yazılır. Her şey tarayıcıda, kütüphanesiz ve internetsiz çalışır.
+//
+// Belge yapısı:
+// { locale, template, name, title, contact: [], summaryTitle, summary,
+//   sections: [{ title, text } | { title, items: [{ title, date, sub, desc }] }] }
+
+// --- Ortak yardımcılar ---
+
+function upper(text, locale) {
+    return text.toLocaleUpperCase(locale);
+}
+
+// "• madde", "- madde", "* madde" satırlarını madde olarak tanı
+function splitBullet(line) {
+    const match = line.match(/^\s*[•\-*·]\s+(.*)$/);
+    return match ? { bullet: true, text: match[1] } : { bullet: false, text: line.trim() };
+}
+
+function entryHeading(item) {
+    return [item.title, item.date].filter(Boolean).join(' | ');
+}
+
+// --- Düz metin ---
+
+export function documentToText(doc) {
+    const lines = [];
+    if (doc.name) lines.push(upper(doc.name, doc.locale));
+    if (doc.title) lines.push(doc.title);
+    if (doc.contact.length) lines.push(doc.contact.join(' | '));
+
+    const block = (title, body) => {
+        lines.push('', upper(title, doc.locale), ...body);
+    };
+
+    if (doc.summary) block(doc.summaryTitle, [doc.summary]);
+
+    doc.sections.forEach(section => {
+        if (section.text !== undefined) {
+            block(section.title, [section.text]);
+            return;
+        }
+        const body = [];
+        section.items.forEach((item, i) => {
+            if (i > 0) body.push('');
+            if (entryHeading(item)) body.push(entryHeading(item));
+            if (item.sub) body.push(item.sub);
+            if (item.desc) body.push(item.desc);
+        });
+        block(section.title, body);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// --- PDF (metin katmanlı) ---
+// Standart 14 fonttan Helvetica kullanılır; gömülü font gerekmez ve metin
+// seçilebilir kalır. WinAnsi'de olmayan Türkçe harfler (ğ, ş, ı, İ...)
+// 128+ kodlarına /Differences ile eklenir, ToUnicode ile geri okunabilir.
+
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56.69 }; // A4, 2 cm kenar
+
+// Helvetica ve Helvetica-Bold genişlikleri (1/1000 em), ASCII 32-126
+const PDF_WIDTHS = {
+    regular: ('278 278 355 556 556 889 667 191 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 ' +
+        '278 278 584 584 584 556 1015 667 667 722 722 667 611 778 722 278 500 667 556 833 722 778 667 778 722 667 611 ' +
+        '722 667 944 667 667 611 278 278 278 469 556 333 556 556 500 556 556 278 556 556 222 222 500 222 833 556 556 ' +
+        '556 556 333 500 278 556 500 722 500 500 500 334 260 334 584').split(' ').map(Number),
+    bold: ('278 333 474 556 556 889 722 238 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 ' +
+        '333 333 584 584 584 611 975 722 722 722 722 667 611 778 722 278 556 722 611 833 722 778 667 778 722 667 611 ' +
+        '722 667 944 667 667 611 333 278 333 584 556 333 556 611 556 611 556 333 611 611 278 278 556 278 889 611 611 ' +
+        '611 611 389 556 333 611 556 778 556 556 500 389 280 389 584').split(' ').map(Number)
+};
+
+// [karakter, glyph adı, normal genişlik, kalın genişlik]; kodlar 128'den başlar
+const PDF_EXTRA_GLYPHS = [
+    ['ç', 'ccedilla', 500, 556], ['Ç', 'Ccedilla', 722, 722], ['ğ', 'gbreve', 556, 611], ['Ğ', 'Gbreve', 778, 778],
+    ['ı', 'dotlessi', 278, 278], ['İ', 'Idotaccent', 278, 278], ['ö', 'odieresis', 556, 611], ['Ö', 'Odieresis', 778, 778],
+    ['ş', 'scedilla', 500, 556], ['Ş', 'Scedilla', 667, 667], ['ü', 'udieresis', 556, 611], ['Ü', 'Udieresis', 722, 722],
+    ['â', 'acircumflex', 556, 556], ['Â', 'Acircumflex', 667, 722], ['î', 'icircumflex', 278, 278], ['û', 'ucircumflex', 556, 611],
+    ['é', 'eacute', 556, 556], ['É', 'Eacute', 667, 667], ['è', 'egrave', 556, 556], ['ê', 'ecircumflex', 556, 556],
+    ['á', 'aacute', 556, 556], ['à', 'agrave', 556, 556], ['ä', 'adieresis', 556, 556], ['ë', 'edieresis', 556, 556],
+    ['ï', 'idieresis', 278, 278], ['ô', 'ocircumflex', 556, 611], ['ñ', 'ntilde', 556, 611], ['•', 'bullet', 350, 350],
+    ['–', 'endash', 556, 556], ['—', 'emdash', 1000, 1000], ['‘', 'quoteleft', 222, 278], ['’', 'quoteright', 222, 278],
+    ['“', 'quotedblleft', 333, 500], ['”', 'quotedblright', 333, 500], ['…', 'ellipsis', 1000, 1000], ['·', 'periodcentered', 278, 278]
+];
+
+const PDF_EXTRA_CODES = new Map(PDF_EXTRA_GLYPHS.map(([char], i) => [char, 128 + i]));
+
+// Karakteri font koduna çevir; desteklenmeyen harfler aksansız hâline düşer
+function pdfCharCode(char) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return code;
+    if (PDF_EXTRA_CODES.has(char)) return PDF_EXTRA_CODES.get(char);
+    if (char === '\t' || char === ' ') return 32;
+    const base = char.normalize('NFD').charCodeAt(0);
+    return base >= 32 && base <= 126 ? base : 63; // '?'
+}
+
+function pdfCharWidth(code, bold) {
+    if (code >= 128) return PDF_EXTRA_GLYPHS[code - 128][bold ? 3 : 2];
+    return PDF_WIDTHS[bold ? 'bold' : 'regular'][code - 32];
+}
+
+function pdfTextWidth(text, font, size) {
+    const bold = font === 'F2';
+    let units = 0;
+    for (const char of text) units += pdfCharWidth(pdfCharCode(char), bold);
+    return (units * size) / 1000;
+}
+
+// PDF string literal: ASCII dışı kodlar sekizlik kaçışla yazılır, dosya ASCII kalır
+function pdfString(text) {
+    let out = '';
+    for (const char of text) {
+        const code = pdfCharCode(char);
+        if (code === 40 || code === 41 || code === 92) out += '\\' + char;
+        else if (code >= 128) out += '\\' + code.toString(8);
+        else out += String.fromCharCode(code);
+    }
+    return '(' + out + ')';
+}
+
+// Belge bilgileri (/Title vb.) için UTF-16BE hex string
+function pdfUnicodeString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return '<' + hex + '>';
+}
+
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let current = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? current + ' ' + word : word;
+        if (pdfTextWidth(candidate, font, size) <= maxWidth) {
+            current = candidate;
+            return;
+        }
+        if (current) lines.push(current);
+
+        // Tek başına satıra sığmayan kelime (uzun URL vb.) harf harf bölünür
+        current = '';
+        for (const char of word) {
+            if (current && pdfTextWidth(current + char, font, size) > maxWidth) {
+                lines.push(current);
+                current = '';
+            }
+            current += char;
+        }
+    });
+
+    if (current) lines.push(current);
+    return lines;
+}
+
+const pdfNumber = n => String(Math.round(n * 100) / 100);
+
+// Yazı boyutları (pt) ve dikey boşluk çarpanı; kompakt şablon daha sık dizilir.
+// İki sütunlu şablon da klasik düzende yazılır: ATS'ler sütunları karışık sırada okur.
+const PDF_STYLES = {
+    classic: { name: 20, title: 13, heading: 11, entry: 10.5, body: 10, gap: 1, lineHeight: 1.35 },
+    compact: { name: 17, title: 11.5, heading: 10, entry: 9.5, body: 9, gap: 0.6, lineHeight: 1.25 }
+};
+
+/**
+ * Belgeyi sayfalara bölerek metin katmanlı bir PDF üretir.
+ * Başlıklar en az bir satır içerikle aynı sayfada kalır (yetim başlık olmaz).
+ * @returns {Blob} application/pdf
+ */
+export function createTextPdf(doc) {
+    const { width, height, margin } = PDF_PAGE;
+    const st = PDF_STYLES[doc.template] || PDF_STYLES.classic;
+    const contentWidth = width - 2 * margin;
+    const pages = [];
+    let ops;
+    let y;
+
+    const newPage = () => {
+        ops = [];
+        pages.push(ops);
+        y = height - margin;
+    };
+    const ensureSpace = h => {
+        if (y - h < margin) newPage();
+    };
+    const lineHeight = size => size * st.lineHeight;
+
+    // y: bir sonraki satırın üst kenarı; yazı taban çizgisi satırın alt çeyreğinde
+    const drawText = (text, x, font, size) => {
+        ops.push(`BT /${font} ${pdfNumber(size)} Tf ${pdfNumber(x)} ${pdfNumber(y + lineHeight(size) * 0.28)} Td ${pdfString(text)} Tj ET`);
+    };
+    // bullet: madde işareti metinden önce çizilir ki metin çıkarımında da önde olsun
+    const writeLine = (text, font, size, align = 'left', x = margin, bullet = false) => {
+        ensureSpace(lineHeight(size));
+        y -= lineHeight(size);
+        if (bullet) drawText('•', margin + 2, 'F1', size);
+        if (align === 'center') x = margin + (contentWidth - pdfTextWidth(text, font, size)) / 2;
+        if (align === 'right') x = width - margin - pdfTextWidth(text, font, size);
+        drawText(text, x, font, size);
+    };
+    const rule = (thickness, gray) => {
+        ops.push(`${pdfNumber(gray)} G ${pdfNumber(thickness)} w ${pdfNumber(margin)} ${pdfNumber(y)} m ${pdfNumber(width - margin)} ${pdfNumber(y)} l S`);
+    };
+
+    // Çok satırlı metin; madde satırları asılı girinti ile sarılır
+    const paragraph = (text, font = 'F1', size = st.body) => {
+        const bulletIndent = 12;
+        text.split('\n').forEach(raw => {
+            if (!raw.trim()) {
+                y -= lineHeight(size) * 0.5;
+                return;
+            }
+            const { bullet, text: body } = splitBullet(raw);
+            const indent = bullet ? bulletIndent : 0;
+            wrapText(body, font, size, contentWidth - indent).forEach((line, i) => {
+                writeLine(line, font, size, 'left', margin + indent, bullet && i === 0);
+            });
+        });
+    };
+
+    const heading = title => {
+        ensureSpace(lineHeight(st.heading) + 14 * st.gap + lineHeight(st.entry) * 2);
+        y -= 8 * st.gap;
+        writeLine(upper(title, doc.locale), 'F2', st.heading);
+        y -= 2 * st.gap;
+        rule(0.5, 0.6);
+        y -= 4 * st.gap;
+    };
+
+    const entry = item => {
+        const dateWidth = item.date ? pdfTextWidth(item.date, 'F1', st.body) + 12 : 0;
+        const titleLines = item.title ? wrapText(item.title, 'F2', st.entry, contentWidth - dateWidth) : [];
+
+        ensureSpace(lineHeight(st.entry) * (titleLines.length + (item.sub ? 1 : 0) + 1));
+        if (titleLines.length) {
+            titleLines.forEach((line, i) => {
+                writeLine(line, 'F2', st.entry);
+                if (i === 0 && item.date) {
+                    drawText(item.date, width - margin - pdfTextWidth(item.date, 'F1', st.body), 'F1', st.body);
+                }
+            });
+        } else if (item.date) {
+            writeLine(item.date, 'F1', st.body, 'right');
+        }
+        if (item.sub) writeLine(item.sub, 'F3', st.body);
+        if (item.desc) paragraph(item.desc);
+        y -= 6 * st.gap;
+    };
+
+    newPage();
+    if (doc.name) writeLine(upper(doc.name, doc.locale), 'F2', st.name, 'center');
+    if (doc.title) writeLine(doc.title, 'F1', st.title, 'center');
+    if (doc.contact.length) {
+        wrapText(doc.contact.join(' | '), 'F1', st.body, contentWidth).forEach(line => writeLine(line, 'F1', st.body, 'center'));
+    }
+    y -= 8 * st.gap;
+    rule(1.5, 0.2);
+    y -= 4 * st.gap;
+
+    if (doc.summary) {
+        heading(doc.summaryTitle);
+        paragraph(doc.summary);
+    }
+    doc.sections.forEach(section => {
+        heading(section.title);
+        if (section.text !== undefined) paragraph(section.text);
+        else section.items.forEach(entry);
+    });
+
+    return new Blob([assemblePdf(pages.map(p => p.join('\n')), doc)], { type: 'application/pdf' });
+}
+
+function pdfToUnicodeCMap() {
+    const chars = PDF_EXTRA_GLYPHS.map(([char], i) =>
+        `<${(128 + i).toString(16).toUpperCase()}> <${char.charCodeAt(0).toString(16).padStart(4, '0').toUpperCase()}>`);
+    return [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<00> <FF>',
+        'endcodespacerange',
+        '1 beginbfrange',
+        '<20> <7E> <0020>',
+        'endbfrange',
+        `${chars.length} beginbfchar`,
+        ...chars,
+        'endbfchar',
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end'
+    ].join('\n');
+}
+
+// Nesneleri sırayla yazar ve xref tablosunu bayt konumlarıyla kurar (dosya tamamen ASCII)
+function assemblePdf(pageContents, doc) {
+    const objects = [];
+    const add = body => {
+        objects.push(body);
+        return objects.length;
+    };
+    const stream = (content, dict = '') => `<< ${dict}/Length ${content.length} >>\nstream\n${content}\nendstream`;
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const cmapId = add(stream(pdfToUnicodeCMap()));
+    const differences = PDF_EXTRA_GLYPHS.map(([, glyph]) => '/' + glyph).join(' ');
+    const font = base => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} ` +
+        `/Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [128 ${differences}] >> ` +
+        `/ToUnicode ${cmapId} 0 R >>`);
+    const fonts = `/F1 ${font('Helvetica')} 0 R /F2 ${font('Helvetica-Bold')} 0 R /F3 ${font('Helvetica-Oblique')} 0 R`;
+
+    const pageIds = pageContents.map(content => {
+        const contentId = add(stream(content));
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+            `/Resources << /Font << ${fonts} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R /Lang ${pdfUnicodeString(doc.locale)} >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Title ${pdfUnicodeString(doc.name ? doc.name + ' - CV' : 'CV')} ` +
+        `/Author ${pdfUnicodeString(doc.name || '')} /Producer (ATS CV Tool) >>`);
+
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(o => String(o).padStart(10, '0') + ' 00000 n \n').join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    out += `startxref\n${xrefOffset}\n%%EOF\n`;
+    return out;
+}
+
+// --- DOCX ---
+// Word'ün okuyabildiği en küçük paket: içerik türleri, ilişkiler, stiller ve
+// belge gövdesi. Başlıklar "Heading 1" stiliyle yazılır; ATS'ler bölümleri
+// bu stillerden tanır. Zip, sıkıştırmasız (stored) olarak elle kurulur.
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const DOCX_TEXT_WIDTH = 9638; // A4 genişliği - 2 cm kenarlar (twip)
+
+function docxRun(text, props = '') {
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+}
+
+function docxParagraph(runs, props = '') {
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+function docxBody(doc) {
+    const parts = [];
+    const center = '<w:jc w:val="center"/>';
+
+    const textLines = text => text.split('\n').forEach(raw => {
+        const { bullet, text: body } = splitBullet(raw);
+        if (!body) return;
+        parts.push(bullet
+            ? docxParagraph(docxRun('•\t' + body), '<w:tabs><w:tab w:val="left" w:pos="284"/></w:tabs><w:ind w:left="284" w:hanging="284"/>')
+            : docxParagraph(docxRun(body)));
+    });
+    const heading = title => parts.push(docxParagraph(docxRun(title), '<w:pStyle w:val="Heading1"/>'));
+
+    if (doc.name) parts.push(docxParagraph(docxRun(doc.name), '<w:pStyle w:val="Title"/>' + center));
+    if (doc.title) parts.push(docxParagraph(docxRun(doc.title, '<w:sz w:val="26"/>'), center));
+    if (doc.contact.length) parts.push(docxParagraph(docxRun(doc.contact.join(' | ')), center));
+
+    if (doc.summary) {
+        heading(doc.summaryTitle);
+        textLines(doc.summary);
+    }
+
+    doc.sections.forEach(section => {
+        heading(section.title);
+        if (section.text !== undefined) {
+            textLines(section.text);
+            return;
+        }
+        section.items.forEach(item => {
+            if (item.title || item.date) {
+                // Tarih, sağa hizalı sekme durağıyla başlıkla aynı satırda
+                const runs = docxRun(item.title, '<w:b/>') + (item.date ? docxRun('\t' + item.date) : '');
+                parts.push(docxParagraph(runs,
+                    `<w:keepNext/><w:tabs><w:tab w:val="right" w:pos="${DOCX_TEXT_WIDTH}"/></w:tabs><w:spacing w:before="120" w:after="0"/>`));
+            }
+            if (item.sub) parts.push(docxParagraph(docxRun(item.sub, '<w:i/>'), '<w:keepNext/><w:spacing w:after="0"/>'));
+            if (item.desc) textLines(item.desc);
+        });
+    });
+
+    return parts.join('');
+}
+
+function docxFiles(doc) {
+    const lang = xmlEscape(doc.locale);
+    const fontSize = doc.template === 'compact' ? 19 : 21; // yarım punto
+    return {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '</Relationships>',
+        'word/_rels/document.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>',
+        'word/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="${fontSize}"/><w:lang w:val="${lang}"/></w:rPr></w:rPrDefault>` +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="60" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>' +
+            '<w:rPr><w:b/><w:caps/><w:sz w:val="40"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="999999"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr>' +
+            '<w:rPr><w:b/><w:caps/><w:sz w:val="22"/></w:rPr></w:style>' +
+            '</w:styles>',
+        'word/document.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+            docxBody(doc) +
+            '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+            '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+            '</w:body></w:document>'
+    };
+}
+
+/** @returns {Blob} .docx (Office Open XML) */
+export function createDocx(doc) {
+    return new Blob([createZip(docxFiles(doc))], {
+        type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// { yol: metin } -> sıkıştırmasız zip (Uint8Array)
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    const header = (size, fields) => {
+        const view = new DataView(new ArrayBuffer(size));
+        fields.forEach(([pos, value, bytes]) => {
+            if (bytes === 2) view.setUint16(pos, value, true);
+            else view.setUint32(pos, value, true);
+        });
+        return new Uint8Array(view.buffer);
+    };
+
+    Object.keys(files).forEach(path => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(files[path]);
+        const crc = crc32(data);
+        // Sabit tarih (1980-01-01): aynı CV her seferinde aynı dosyayı üretir
+        const common = [[10, 0, 2], [12, 0x21, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2]];
+
+        const local = header(30, [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], ...common, [28, 0, 2]]);
+        chunks.push(local, name, data);
+
+        central.push(header(46, [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2],
+            ...common.map(([pos, value, bytes]) => [pos + 2, value, bytes]), [42, offset, 4]]), name);
+
+        offset += local.length + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = header(22, [[0, 0x06054b50, 4], [8, Object.keys(files).length, 2], [10, Object.keys(files).length, 2],
+        [12, centralSize, 4], [16, offset, 4]]);
+
+    const all = [...chunks, ...central, end];
+    const out = new Uint8Array(all.reduce((sum, c) => sum + c.length, 0));
+    let pos = 0;
+    all.forEach(c => {
+        out.set(c, pos);
+        pos += c.length;
+    });
+    return out;
+}
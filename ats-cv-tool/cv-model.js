@@ -0,0 +1,685 @@
+// === CV VERİ MODELİ ===
+// Önizleme ve düzenleyici tamamen bu modelden üretilir. Sabit input id'leri yok;
+// her bölüm bir tip (hangi alanlar var) ve sıralı bir kayıt listesi taşır.
+//
+// Bu modül DOM'a dokunmaz: önizleme HTML'i, dışa aktarılan belge ve JSON Resume
+// dönüşümleri saf fonksiyonlardır. Sayfa bağlantısı (olaylar, localStorage,
+// indirme) script.js'de; testler bu dosyayı doğrudan Node altında içe aktarır.
+
+import { documentToText } from './cv-export.js';
+
+// Bölüm tipleri: alanlar, düzenleyicideki placeholder'lar ve önizlemedeki yerleri
+export const SECTION_TYPES = {
+    experience: {
+        label: 'İş Deneyimi',
+        itemLabel: 'Deneyim',
+        fields: [
+            { key: 'title', placeholder: 'Pozisyon Adı', empty: 'Pozisyon Adı' },
+            { key: 'company', placeholder: 'Şirket Adı', empty: 'Şirket Adı' },
+            { key: 'date', placeholder: 'Tarih (Örn: 2024 - Devam)', empty: 'Tarih' },
+            { key: 'description', placeholder: 'Görev tanımı ve başarılar...', empty: 'İş tanımı...', multiline: true }
+        ],
+        // Önizlemede: başlık | tarih, altında alt başlık ve açıklama
+        layout: { title: 'title', date: 'date', sub: 'company', desc: 'description' }
+    },
+    education: {
+        label: 'Eğitim',
+        itemLabel: 'Okul',
+        fields: [
+            { key: 'school', placeholder: 'Okul / Üniversite', empty: 'Üniversite Adı' },
+            { key: 'department', placeholder: 'Bölüm', empty: 'Bölüm' },
+            { key: 'date', placeholder: 'Mezuniyet Yılı', empty: 'Yıl' }
+        ],
+        layout: { title: 'school', date: 'date', sub: 'department' }
+    },
+    certificates: {
+        label: 'Sertifikalar',
+        itemLabel: 'Sertifika',
+        fields: [
+            { key: 'name', placeholder: 'Sertifika Adı', empty: 'Sertifika Adı' },
+            { key: 'issuer', placeholder: 'Veren Kurum', empty: 'Kurum' },
+            { key: 'date', placeholder: 'Tarih', empty: 'Tarih' }
+        ],
+        layout: { title: 'name', date: 'date', sub: 'issuer' }
+    },
+    languages: {
+        label: 'Yabancı Diller',
+        itemLabel: 'Dil',
+        fields: [
+            { key: 'language', placeholder: 'Dil (Örn: İngilizce)', empty: 'Dil' },
+            { key: 'level', placeholder: 'Seviye (Örn: B2 / İleri)', empty: 'Seviye' }
+        ],
+        layout: { title: 'language', date: 'level' }
+    },
+    projects: {
+        label: 'Projeler',
+        itemLabel: 'Proje',
+        fields: [
+            { key: 'name', placeholder: 'Proje Adı', empty: 'Proje Adı' },
+            { key: 'role', placeholder: 'Rol / Bağlantı', empty: '' },
+            { key: 'date', placeholder: 'Tarih', empty: 'Tarih' },
+            { key: 'description', placeholder: 'Proje açıklaması...', empty: 'Proje açıklaması...', multiline: true }
+        ],
+        layout: { title: 'name', date: 'date', sub: 'role', desc: 'description' }
+    },
+    custom: {
+        label: 'Özel Bölüm',
+        itemLabel: 'Kayıt',
+        fields: [
+            { key: 'title', placeholder: 'Başlık', empty: 'Başlık' },
+            { key: 'subtitle', placeholder: 'Alt Başlık', empty: '' },
+            { key: 'date', placeholder: 'Tarih', empty: '' },
+            { key: 'description', placeholder: 'Açıklama...', empty: '', multiline: true }
+        ],
+        layout: { title: 'title', date: 'date', sub: 'subtitle', desc: 'description' }
+    },
+    // Tek bir serbest metin alanı (kayıt listesi yok)
+    text: {
+        label: 'Serbest Metin',
+        fields: [
+            { key: 'content', placeholder: 'Örn: IFS ERP, SQL, Python, İngilizce (B2)...', empty: 'Yetenekler...', multiline: true }
+        ]
+    }
+};
+
+// Kişisel bilgiler: önizlemede boşken görünen varsayılan metinler
+export const PERSONAL_DEFAULTS = {
+    name: 'AD SOYAD',
+    title: 'Ünvan',
+    email: 'email@ornek.com',
+    phone: '+90 555 555 55 55',
+    link: 'linkedin.com/in/profil',
+    summary: 'Kısa kariyer özeti...'
+};
+
+// Önizleme şablonları. sidebar: iki sütunlu düzende sol sütuna giden bölüm tipleri
+export const TEMPLATES = {
+    classic: { label: 'Klasik' },
+    'two-column': { label: 'İki Sütun', sidebar: ['text', 'languages', 'certificates'] },
+    compact: { label: 'Kompakt' }
+};
+
+// CV dili: başlıkları, boş alan metinlerini ve tarihleri çevirir. Düzenleyici her zaman Türkçe.
+// Türkçe boş alan metinleri SECTION_TYPES'ta; diğer diller sadece farklı olanları verir.
+// headings: ilk değer o dildeki başlık, diğerleri aynı bölüm için tanınan eş anlamlılar.
+export const CV_LANGUAGES = {
+    tr: {
+        label: 'Türkçe',
+        locale: 'tr-TR',
+        summary: 'Özet',
+        ongoing: 'Devam',
+        personal: PERSONAL_DEFAULTS,
+        headings: {
+            experience: ['İş Deneyimi', 'Deneyim', 'Tecrübe'],
+            education: ['Eğitim'],
+            certificates: ['Sertifikalar'],
+            languages: ['Yabancı Diller', 'Diller'],
+            projects: ['Projeler'],
+            text: ['Yetkinlikler', 'Yetenekler', 'Beceriler']
+        },
+        empty: {}
+    },
+    en: {
+        label: 'English',
+        locale: 'en-GB',
+        summary: 'Summary',
+        ongoing: 'Present',
+        personal: {
+            name: 'FULL NAME',
+            title: 'Job Title',
+            email: 'email@example.com',
+            phone: '+44 20 5555 5555',
+            link: 'linkedin.com/in/profile',
+            summary: 'Short career summary...'
+        },
+        headings: {
+            experience: ['Work Experience', 'Experience', 'Professional Experience'],
+            education: ['Education'],
+            certificates: ['Certifications', 'Certificates'],
+            languages: ['Languages'],
+            projects: ['Projects'],
+            text: ['Skills']
+        },
+        empty: {
+            experience: { title: 'Job Title', company: 'Company Name', date: 'Date', description: 'Responsibilities and achievements...' },
+            education: { school: 'University Name', department: 'Degree / Field', date: 'Year' },
+            certificates: { name: 'Certificate Name', issuer: 'Issuer', date: 'Date' },
+            languages: { language: 'Language', level: 'Level' },
+            projects: { name: 'Project Name', date: 'Date', description: 'Project description...' },
+            custom: { title: 'Title' },
+            text: { content: 'Skills...' }
+        }
+    }
+};
+
+let nextId = 1;
+
+export function createEntry(type) {
+    const entry = { id: nextId++ };
+    SECTION_TYPES[type].fields.forEach(field => {
+        entry[field.key] = '';
+    });
+    return entry;
+}
+
+export function createSection(type, title, entryCount = 1) {
+    const section = {
+        id: nextId++,
+        type: type,
+        title: title || SECTION_TYPES[type].label
+    };
+
+    if (type === 'text') {
+        section.content = '';
+    } else {
+        section.items = [];
+        for (let i = 0; i < entryCount; i++) {
+            section.items.push(createEntry(type));
+        }
+    }
+    return section;
+}
+
+// İlk açılışta eski sabit form ile aynı düzen: 2 deneyim, 1 eğitim, yetkinlikler
+export function createDefaultCV() {
+    return {
+        personal: { name: '', title: '', email: '', phone: '', link: '', summary: '' },
+        sections: [
+            createSection('experience', 'İş Deneyimi', 2),
+            createSection('education', 'Eğitim', 1),
+            createSection('text', 'Yetkinlikler')
+        ],
+        jobPosting: '', // ATS analizi için yapıştırılan ilan; sürümle birlikte saklanır
+        template: 'classic',
+        language: 'tr'
+    };
+}
+
+// Tarayıcıda saklanan bir kaydın modelin beklediği şekilde olup olmadığı
+// (localStorage elle düzenlenmiş ya da yarım yazılmış olabilir). Önizleme ve ATS
+// analizi metinleri doğrudan .trim() ile okur: kişisel alanlar ve bölüm başlığı metin
+// olmalı, kayıt alanları ise ya yok ya da metin.
+export function isCvData(data) {
+    return !!data && typeof data === 'object'
+        && !!data.personal && typeof data.personal === 'object'
+        && Object.keys(PERSONAL_DEFAULTS).every(key => typeof data.personal[key] === 'string')
+        && Array.isArray(data.sections)
+        && data.sections.every(isSectionData);
+}
+
+function isSectionData(section) {
+    const type = section && SECTION_TYPES[section.type];
+    if (!type || typeof section.title !== 'string') return false;
+    if (section.type === 'text') return typeof section.content === 'string';
+    return Array.isArray(section.items) && section.items.every(item => !!item && typeof item === 'object'
+        && type.fields.every(field => item[field.key] === undefined || typeof item[field.key] === 'string'));
+}
+
+// Şablon/dil öncesi kayıtlar ve içe aktarılan dosyalar için varsayılanları doldurur;
+// id sayacı yüklenen kayıtlardaki en büyük id'nin üstünden devam eder
+export function prepareCvData(data) {
+    data.template = TEMPLATES[data.template] ? data.template : 'classic';
+    data.language = CV_LANGUAGES[data.language] ? data.language : 'tr';
+    const ids = [0];
+    data.sections.forEach(section => {
+        ids.push(section.id);
+        (section.items || []).forEach(item => ids.push(item.id));
+    });
+    nextId = Math.max(...ids) + 1;
+    return data;
+}
+
+// Diziler içinde yer değiştirme (yukarı: -1, aşağı: +1)
+export function moveInArray(list, index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= list.length) return;
+    const [item] = list.splice(index, 1);
+    list.splice(target, 0, item);
+}
+
+// === YARDIMCILAR ===
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Input doluysa onu, boşsa varsayılan metni yaz (satır sonları korunur)
+function displayText(value, defaultText) {
+    const text = value && value.trim() !== '' ? value : (defaultText || '');
+    return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+// === ŞABLON VE DİL ===
+
+export function cvLanguage(data) {
+    return CV_LANGUAGES[data.language] || CV_LANGUAGES.tr;
+}
+
+function emptyText(typeKey, field, lang) {
+    const overrides = lang.empty[typeKey] || {};
+    return overrides[field.key] !== undefined ? overrides[field.key] : field.empty;
+}
+
+// Varsayılan başlıklardan biri (hangi dilde olursa olsun) seçili dile çevrilir;
+// kullanıcının kendi yazdığı başlıklar olduğu gibi kalır
+export function sectionHeading(section, lang) {
+    const title = section.title.trim();
+    const key = title.toLocaleLowerCase('tr-TR');
+    const known = Object.values(CV_LANGUAGES).some(lang =>
+        (lang.headings[section.type] || []).some(h => h.toLocaleLowerCase('tr-TR') === key));
+    return known ? lang.headings[section.type][0] : title;
+}
+
+// "03/2021 - Devam" -> "Mar 2021 – Present"; ayrıştırılamayan tarih olduğu gibi kalır
+export function localizeDate(text, lang) {
+    const range = parseDateRange(text);
+    if (range.raw !== undefined || !(text || '').trim()) return text;
+
+    const format = iso => {
+        const [year, month] = iso.split('-').map(Number);
+        if (!month) return String(year);
+        return new Intl.DateTimeFormat(lang.locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+            .format(new Date(Date.UTC(year, month - 1, 1)));
+    };
+
+    if (range.startDate) return `${format(range.startDate)} – ${range.endDate ? format(range.endDate) : lang.ongoing}`;
+    return format(range.endDate);
+}
+
+// === ÖNİZLEME ===
+
+// Önizleme kutusunun sınıfı, dili ve içeriği; sayfaya yazmak script.js'nin işi
+export function renderPreview(data) {
+    const p = data.personal;
+    const lang = cvLanguage(data);
+    const d = lang.personal;
+    const template = TEMPLATES[data.template] || TEMPLATES.classic;
+    const renderSection = section => renderSectionPreview(section, lang);
+
+    const header = `
+        <header class="cv-header">
+            <h1>${displayText(p.name, d.name)}</h1>
+            <h3>${displayText(p.title, d.title)}</h3>
+            <div class="contact-line">
+                <span>${displayText(p.email, d.email)}</span> |
+                <span>${displayText(p.phone, d.phone)}</span> |
+                <span>${displayText(p.link, d.link)}</span>
+            </div>
+        </header>`;
+    const summary = `
+        <section class="cv-section">
+            <h4>${escapeHtml(lang.summary)}</h4>
+            <p>${displayText(p.summary, d.summary)}</p>
+        </section>`;
+
+    let body;
+    if (template.sidebar) {
+        const inSidebar = section => template.sidebar.includes(section.type);
+        body = `
+            <div class="cv-columns">
+                <aside class="cv-sidebar">${data.sections.filter(inSidebar).map(renderSection).join('')}</aside>
+                <div class="cv-main">${summary}${data.sections.filter(s => !inSidebar(s)).map(renderSection).join('')}</div>
+            </div>`;
+    } else {
+        body = summary + data.sections.map(renderSection).join('');
+    }
+
+    return {
+        className: 'template-' + (TEMPLATES[data.template] ? data.template : 'classic'),
+        lang: lang.locale.slice(0, 2),
+        html: header + body
+    };
+}
+
+function renderSectionPreview(section, lang) {
+    const type = SECTION_TYPES[section.type];
+    const heading = `<h4>${escapeHtml(sectionHeading(section, lang))}</h4>`;
+
+    if (section.type === 'text') {
+        return `<section class="cv-section">${heading}<p>${displayText(section.content, emptyText(section.type, type.fields[0], lang))}</p></section>`;
+    }
+
+    const empty = key => emptyText(section.type, type.fields.find(f => f.key === key) || {}, lang);
+    const layout = type.layout;
+    const date = item => layout.date === 'date' ? localizeDate(item.date, lang) : item[layout.date];
+
+    const items = section.items.map(item => {
+        const sub = layout.sub ? displayText(item[layout.sub], empty(layout.sub)) : '';
+        const desc = layout.desc ? displayText(item[layout.desc], empty(layout.desc)) : '';
+        return `
+            <div class="job-item">
+                <div class="job-top">
+                    <span class="job-title">${displayText(item[layout.title], empty(layout.title))}</span>
+                    <span class="job-date">${displayText(date(item), empty(layout.date))}</span>
+                </div>
+                ${sub ? `<div class="job-comp">${sub}</div>` : ''}
+                ${desc ? `<p class="job-desc">${desc}</p>` : ''}
+            </div>`;
+    }).join('');
+
+    return `<section class="cv-section">${heading}${items}</section>`;
+}
+
+// === DIŞA AKTARILAN BELGE ===
+// PDF / DOCX / TXT (cv-export.js) ve ATS analizi bu sade belgeyi kullanır.
+
+// Dışa aktarılacak sade belge: boş alanlar atlanır, önizleme varsayılanları yazılmaz
+export function buildExportDocument(data) {
+    const p = data.personal;
+    const lang = cvLanguage(data);
+    const clean = value => (value || '').trim();
+
+    const sections = data.sections.map(section => {
+        if (section.type === 'text') {
+            return clean(section.content) ? { title: sectionHeading(section, lang), text: clean(section.content) } : null;
+        }
+        const layout = SECTION_TYPES[section.type].layout;
+        const items = section.items
+            .map(item => ({
+                title: clean(item[layout.title]),
+                date: clean(layout.date === 'date' ? localizeDate(item.date, lang) : item[layout.date]),
+                sub: layout.sub ? clean(item[layout.sub]) : '',
+                desc: layout.desc ? clean(item[layout.desc]) : ''
+            }))
+            .filter(item => item.title || item.date || item.sub || item.desc);
+        return items.length ? { title: sectionHeading(section, lang), items } : null;
+    }).filter(Boolean);
+
+    return {
+        locale: lang.locale,
+        template: data.template,
+        name: clean(p.name),
+        title: clean(p.title),
+        contact: [p.email, p.phone, p.link].map(clean).filter(Boolean),
+        summaryTitle: lang.summary,
+        summary: clean(p.summary),
+        sections
+    };
+}
+
+// ATS'nin göreceği düz metin, "TXT İndir" çıktısıyla birebir aynıdır
+export function cvToPlainText(data) {
+    return documentToText(buildExportDocument(data));
+}
+
+// === JSON RESUME DÖNÜŞÜMLERİ ===
+// https://jsonresume.org/schema — diğer araçlarla veri alışverişi için.
+// Şemada karşılığı olmayan bölümler meta.atsCvTool altında saklanır, böylece
+// bu araca geri yüklenince kaybolmaz.
+
+const ONGOING_WORDS = /^(devam|halen|günümüz|present|current|now)$/i;
+
+// "2019 - 2022", "03/2021 - Devam" gibi serbest metni ISO tarihlere çevir
+export function parseDateRange(text) {
+    const parts = (text || '').split(/\s+[-–—]\s+|\s*[–—]\s*|(?<=^\d{4})-(?=\d{4}$)/).map(p => p.trim()).filter(Boolean);
+    const toIso = part => {
+        let m = part.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+        if (m) return part;
+        m = part.match(/^(\d{1,2})[./](\d{4})$/);
+        if (m) return `${m[2]}-${m[1].padStart(2, '0')}`;
+        return null;
+    };
+
+    const range = {};
+    if (parts[0] && toIso(parts[0])) range.startDate = toIso(parts[0]);
+    if (parts[1] && toIso(parts[1])) range.endDate = toIso(parts[1]);
+    // Tek tarih (Örn: mezuniyet yılı) bitiş tarihi sayılır
+    if (parts.length === 1 && range.startDate) {
+        range.endDate = range.startDate;
+        delete range.startDate;
+    }
+    const parsed = Object.keys(range).length + (parts[1] && ONGOING_WORDS.test(parts[1]) ? 1 : 0);
+    return parsed === parts.length ? range : { raw: text };
+}
+
+function formatDateRange(startDate, endDate) {
+    if (startDate && endDate) return `${startDate} - ${endDate}`;
+    if (startDate) return `${startDate} - Devam`;
+    return endDate || '';
+}
+
+// Tarihi ayrıştırılabiliyorsa ISO alanlara, değilse okunabilir kalsın diye metne ekle
+function withDates(target, text) {
+    const range = parseDateRange(text);
+    if (range.raw) {
+        target.summary = [target.summary, `(${range.raw})`].filter(Boolean).join(' ');
+    } else {
+        Object.assign(target, range);
+    }
+    return target;
+}
+
+export function toJsonResume(data) {
+    const p = data.personal;
+    const resume = {
+        basics: { name: p.name, label: p.title, email: p.email, phone: p.phone, url: p.link, summary: p.summary },
+        work: [], education: [], certificates: [], languages: [], projects: [], skills: [],
+        meta: { atsCvTool: { template: data.template, language: data.language, sections: [] } }
+    };
+    let skillsExported = false;
+
+    data.sections.forEach(section => {
+        const items = section.items || [];
+        switch (section.type) {
+            case 'experience':
+                items.forEach(i => resume.work.push(withDates(
+                    { name: i.company, position: i.title, summary: i.description }, i.date)));
+                break;
+            case 'education':
+                items.forEach(i => resume.education.push(withDates(
+                    { institution: i.school, area: i.department }, i.date)));
+                break;
+            case 'certificates':
+                items.forEach(i => resume.certificates.push({ name: i.name, issuer: i.issuer, date: parseDateRange(i.date).endDate || i.date }));
+                break;
+            case 'languages':
+                items.forEach(i => resume.languages.push({ language: i.language, fluency: i.level }));
+                break;
+            case 'projects':
+                items.forEach(i => resume.projects.push(withDates(
+                    { name: i.name, roles: i.role ? [i.role] : [], description: i.description }, i.date)));
+                break;
+            case 'text':
+                // İlk serbest metin bölümü yetkinlik listesidir: "Grup: a, b" satırları keywords olur
+                if (!skillsExported) {
+                    resume.skills = textToSkills(section.content);
+                    skillsExported = true;
+                    break;
+                }
+                resume.meta.atsCvTool.sections.push(section);
+                break;
+            default:
+                resume.meta.atsCvTool.sections.push(section);
+        }
+    });
+
+    return resume;
+}
+
+function textToSkills(text) {
+    const skills = [];
+    (text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const m = line.match(/^([^:]+):\s*(.+)$/);
+        if (m) {
+            skills.push({ name: m[1].trim(), keywords: m[2].split(',').map(k => k.trim()).filter(Boolean) });
+        } else {
+            line.split(',').map(k => k.trim()).filter(Boolean).forEach(name => skills.push({ name }));
+        }
+    });
+    return skills;
+}
+
+function skillsToText(skills) {
+    const grouped = skills.filter(s => s.keywords && s.keywords.length)
+        .map(s => `${s.name}: ${s.keywords.join(', ')}`);
+    const plain = skills.filter(s => !s.keywords || !s.keywords.length).map(s => s.name);
+    return grouped.concat(plain.length ? [plain.join(', ')] : []).join('\n');
+}
+
+/**
+ * JSON Resume nesnesini CV modeline çevirir. Kullanılan her alanın yolu
+ * kaydedilir; geriye kalan dolu alanlar "unmapped" olarak raporlanır.
+ */
+export function fromJsonResume(resume) {
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+        throw new Error('Geçerli bir JSON Resume nesnesi değil.');
+    }
+
+    const used = new Set();
+    const take = (obj, key, path) => {
+        if (obj && obj[key] !== undefined) used.add(path);
+        return obj && typeof obj[key] === 'string' ? obj[key] : '';
+    };
+    const list = key => {
+        if (!Array.isArray(resume[key])) return [];
+        return resume[key];
+    };
+    const dates = (obj, path) => formatDateRange(take(obj, 'startDate', path + '.startDate'), take(obj, 'endDate', path + '.endDate'));
+    // Açıklama + highlights maddeleri tek metin alanına
+    const description = (obj, key, path) => {
+        const text = take(obj, key, `${path}.${key}`);
+        const highlights = Array.isArray(obj.highlights) ? obj.highlights : [];
+        if (highlights.length) used.add(path + '.highlights');
+        return [text].concat(highlights.map(h => '• ' + h)).filter(Boolean).join('\n');
+    };
+
+    const b = resume.basics || {};
+    let link = take(b, 'url', 'basics.url');
+    (Array.isArray(b.profiles) ? b.profiles : []).forEach((profile, i) => {
+        // URL yoksa ilk profil (genelde LinkedIn) iletişim satırına yazılır
+        if (!link && profile && profile.url) {
+            link = take(profile, 'url', `basics.profiles[${i}].url`);
+            used.add(`basics.profiles[${i}].network`);
+            used.add(`basics.profiles[${i}].username`);
+        }
+    });
+
+    const data = {
+        personal: {
+            name: take(b, 'name', 'basics.name'),
+            title: take(b, 'label', 'basics.label'),
+            email: take(b, 'email', 'basics.email'),
+            phone: take(b, 'phone', 'basics.phone'),
+            link: link,
+            summary: take(b, 'summary', 'basics.summary')
+        },
+        sections: []
+    };
+
+    const addItems = (type, title, key, mapItem) => {
+        const source = list(key);
+        if (!source.length) return;
+        const section = createSection(type, title, 0);
+        source.forEach((obj, i) => {
+            const entry = createEntry(type);
+            Object.assign(entry, mapItem(obj || {}, `${key}[${i}]`));
+            section.items.push(entry);
+        });
+        data.sections.push(section);
+    };
+
+    addItems('experience', 'İş Deneyimi', 'work', (w, path) => ({
+        title: take(w, 'position', path + '.position'),
+        company: take(w, 'name', path + '.name'),
+        date: dates(w, path),
+        description: description(w, 'summary', path)
+    }));
+    addItems('education', 'Eğitim', 'education', (e, path) => ({
+        school: take(e, 'institution', path + '.institution'),
+        department: [take(e, 'studyType', path + '.studyType'), take(e, 'area', path + '.area')].filter(Boolean).join(', '),
+        date: dates(e, path)
+    }));
+    addItems('certificates', 'Sertifikalar', 'certificates', (c, path) => ({
+        name: take(c, 'name', path + '.name'),
+        issuer: take(c, 'issuer', path + '.issuer'),
+        date: take(c, 'date', path + '.date')
+    }));
+    addItems('languages', 'Yabancı Diller', 'languages', (l, path) => ({
+        language: take(l, 'language', path + '.language'),
+        level: take(l, 'fluency', path + '.fluency')
+    }));
+    addItems('projects', 'Projeler', 'projects', (pr, path) => {
+        const roles = Array.isArray(pr.roles) ? pr.roles : [];
+        if (roles.length) used.add(path + '.roles');
+        return {
+            name: take(pr, 'name', path + '.name'),
+            role: roles.join(', '),
+            date: dates(pr, path),
+            description: description(pr, 'description', path)
+        };
+    });
+    // Şemadaki diğer listeler genel "özel bölüm" kayıtlarına dönüşür
+    addItems('custom', 'Gönüllü Çalışmalar', 'volunteer', (v, path) => ({
+        title: take(v, 'position', path + '.position'),
+        subtitle: take(v, 'organization', path + '.organization'),
+        date: dates(v, path),
+        description: description(v, 'summary', path)
+    }));
+    addItems('custom', 'Ödüller', 'awards', (a, path) => ({
+        title: take(a, 'title', path + '.title'),
+        subtitle: take(a, 'awarder', path + '.awarder'),
+        date: take(a, 'date', path + '.date'),
+        description: take(a, 'summary', path + '.summary')
+    }));
+    addItems('custom', 'Yayınlar', 'publications', (pub, path) => ({
+        title: take(pub, 'name', path + '.name'),
+        subtitle: take(pub, 'publisher', path + '.publisher'),
+        date: take(pub, 'releaseDate', path + '.releaseDate'),
+        description: take(pub, 'summary', path + '.summary')
+    }));
+
+    if (list('skills').length) {
+        const section = createSection('text', 'Yetkinlikler');
+        section.content = skillsToText(list('skills').map((s, i) => {
+            s = s || {};
+            const keywords = Array.isArray(s.keywords) ? s.keywords : [];
+            if (keywords.length) used.add(`skills[${i}].keywords`);
+            return { name: take(s, 'name', `skills[${i}].name`), keywords };
+        }));
+        data.sections.push(section);
+    }
+    if (list('interests').length) {
+        const section = createSection('text', 'İlgi Alanları');
+        section.content = list('interests').map((it, i) => take(it || {}, 'name', `interests[${i}].name`)).filter(Boolean).join(', ');
+        data.sections.push(section);
+    }
+
+    // Bu aracın kendi dışa aktardığı ek bölümler ve şablon/dil seçimi
+    const own = (resume.meta && resume.meta.atsCvTool) || {};
+    if (resume.meta && resume.meta.atsCvTool) used.add('meta.atsCvTool');
+    data.template = own.template;
+    data.language = own.language;
+
+    const extra = own.sections;
+    if (Array.isArray(extra)) {
+        extra.filter(section => section && SECTION_TYPES[section.type]).forEach(section => {
+            const copy = createSection(section.type, section.title, 0);
+            if (section.type === 'text') {
+                copy.content = section.content || '';
+            } else {
+                (section.items || []).forEach(item => copy.items.push(Object.assign(createEntry(section.type), item, { id: nextId++ })));
+            }
+            data.sections.push(copy);
+        });
+    }
+
+    return { data, unmapped: findUnmapped(resume, used) };
+}
+
+// Kullanılmamış, boş olmayan alanların yollarını topla (Örn: "work[0].url")
+function findUnmapped(value, used, path = '') {
+    if (path && used.has(path)) return [];
+    if (value === null || value === undefined || value === '') return [];
+
+    if (Array.isArray(value)) {
+        return value.flatMap((item, i) => findUnmapped(item, used, `${path}[${i}]`));
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).flatMap(key => findUnmapped(value[key], used, path ? `${path}.${key}` : key));
+    }
+    return [path];
+}
@@ -1,67 +1,467 @@
+// === CV ARACI: SAYFA BAĞLANTISI ===
+// Model, önizleme ve JSON Resume dönüşümleri cv-model.js'de (DOM'suz, test edilebilir).
+// Bu dosya düzenleyiciyi çizer, olayları modele bağlar, sürümleri localStorage'da
+// tutar ve indirmeleri başlatır.
+
+import {
+    SECTION_TYPES, TEMPLATES, CV_LANGUAGES,
+    createEntry, createSection, createDefaultCV, isCvData, prepareCvData, moveInArray, escapeHtml,
+    renderPreview, buildExportDocument, cvToPlainText, toJsonResume, fromJsonResume
+} from './cv-model.js';
+import { matchKeywords, findAtsWarnings } from './ats-analyzer.js';
+import { createTextPdf, createDocx } from './cv-export.js';
+
+let cvData = createDefaultCV();
+
+function findSection(sectionId) {
+    return cvData.sections.find(s => s.id === sectionId);
+}
+
+// === MODEL İŞLEMLERİ ===
+
+function addEntry(sectionId) {
+    const section = findSection(sectionId);
+    section.items.push(createEntry(section.type));
+    refresh();
+}
+
+function removeEntry(sectionId, entryId) {
+    const section = findSection(sectionId);
+    section.items = section.items.filter(item => item.id !== entryId);
+    refresh();
+}
+
+function moveEntry(sectionId, entryId, direction) {
+    const section = findSection(sectionId);
+    moveInArray(section.items, section.items.findIndex(item => item.id === entryId), direction);
+    refresh();
+}
+
+function addSection(type, title) {
+    cvData.sections.push(createSection(type, title));
+    refresh();
+}
+
+function removeSection(sectionId) {
+    cvData.sections = cvData.sections.filter(s => s.id !== sectionId);
+    refresh();
+}
+
+function moveSection(sectionId, direction) {
+    moveInArray(cvData.sections, cvData.sections.findIndex(s => s.id === sectionId), direction);
+    refresh();
+}
+
+// Yapı değiştiğinde (ekle/sil/taşı) hem düzenleyici hem önizleme yeniden çizilir.
+// Yazarken sadece önizleme güncellenir, böylece input odağı kaybolmaz.
+function refresh() {
+    renderEditor();
+    updateCV();
+    scheduleAutosave();
+}
+
+// === DÜZENLEYİCİ (SOL PANEL) ===
+
+function renderEditor() {
+    const container = document.getElementById('sectionsEditor');
+    container.innerHTML = cvData.sections.map((section, index) =>
+        renderSectionEditor(section, index, cvData.sections.length)).join('');
+
+    // Kişisel bilgi inputlarını modelle eşitle
+    document.querySelectorAll('[data-personal]').forEach(input => {
+        input.value = cvData.personal[input.dataset.personal] || '';
+    });
+    document.querySelectorAll('[data-setting]').forEach(select => {
+        select.value = cvData[select.dataset.setting];
+    });
+    document.getElementById('jobPosting').value = cvData.jobPosting || '';
+}
+
+function renderSectionEditor(section, index, total) {
+    const type = SECTION_TYPES[section.type];
+    const sectionControls = `
+        <div class="section-controls">
+            <button type="button" data-action="move-section" data-dir="-1" title="Yukarı taşı" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" data-action="move-section" data-dir="1" title="Aşağı taşı" ${index === total - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" data-action="remove-section" title="Bölümü sil">✕</button>
+        </div>`;
+
+    let body;
+    if (section.type === 'text') {
+        body = renderField(type.fields[0], section.content);
+    } else {
+        body = section.items.map((item, i) => `
+            <div class="entry-editor" data-entry="${item.id}">
+                <div class="entry-head">
+                    <span>${escapeHtml(type.itemLabel)} #${i + 1}</span>
+                    <div class="section-controls">
+                        <button type="button" data-action="move-entry" data-dir="-1" title="Yukarı taşı" ${i === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" data-action="move-entry" data-dir="1" title="Aşağı taşı" ${i === section.items.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button type="button" data-action="remove-entry" title="Sil">✕</button>
+                    </div>
+                </div>
+                ${type.fields.map(field => renderField(field, item[field.key])).join('')}
+            </div>`).join('') + `
+            <button type="button" class="add-btn" data-action="add-entry">+ ${escapeHtml(type.itemLabel)} Ekle</button>`;
+    }
+
+    return `
+        <div class="input-group" data-section="${section.id}">
+            <div class="section-head">
+                <input type="text" class="section-title-input" data-section-title value="${escapeHtml(section.title)}" aria-label="Bölüm başlığı">
+                ${sectionControls}
+            </div>
+            ${body}
+        </div>`;
+}
+
+function renderField(field, value) {
+    const attrs = `data-field="${field.key}" placeholder="${escapeHtml(field.placeholder)}"`;
+    return field.multiline
+        ? `<textarea ${attrs}>${escapeHtml(value || '')}</textarea>`
+        : `<input type="text" ${attrs} value="${escapeHtml(value || '')}">`;
+}
+
+// Tüm editör olayları tek yerden (event delegation) yönetilir
+function handleEditorInput(event) {
+    const el = event.target;
+
+    if (el.dataset.personal) {
+        cvData.personal[el.dataset.personal] = el.value;
+    } else if (el.dataset.setting) {
+        cvData[el.dataset.setting] = el.value;
+    } else if (el.id === 'jobPosting') {
+        cvData.jobPosting = el.value;
+    } else {
+        const sectionEl = el.closest('[data-section]');
+        if (!sectionEl) return;
+        const section = findSection(Number(sectionEl.dataset.section));
+
+        if (el.hasAttribute('data-section-title')) {
+            section.title = el.value;
+        } else if (el.dataset.field) {
+            const entryEl = el.closest('[data-entry]');
+            if (entryEl) {
+                const entry = section.items.find(item => item.id === Number(entryEl.dataset.entry));
+                entry[el.dataset.field] = el.value;
+            } else {
+                section.content = el.value;
+            }
+        }
+    }
+
+    updateCV();
+    scheduleAutosave();
+}
+
+function handleEditorClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const action = button.dataset.action;
+    const direction = Number(button.dataset.dir);
+
+    // Bölüme bağlı olmayan işlemler
+    switch (action) {
+        case 'add-section': {
+            const type = document.getElementById('newSectionType').value;
+            const titleInput = document.getElementById('newSectionTitle');
+            addSection(type, titleInput.value.trim());
+            titleInput.value = '';
+            return;
+        }
+        case 'new-version': {
+            const name = prompt('Yeni sürümün adı (Örn: ABC Şirketi - Planlama Uzmanı):');
+            if (name && name.trim()) createVersion(name.trim());
+            return;
+        }
+        case 'delete-version':
+            if (confirm(`"${activeVersion}" sürümü silinsin mi?`)) deleteVersion(activeVersion);
+            return;
+        case 'export-json':
+            exportJsonResume();
+            return;
+        case 'download-pdf':
+            downloadPDF();
+            return;
+        case 'download-docx':
+            downloadDOCX();
+            return;
+        case 'download-txt':
+            downloadText();
+            return;
+    }
+
+    const sectionId = Number(button.closest('[data-section]').dataset.section);
+    const entryEl = button.closest('[data-entry]');
+    const entryId = entryEl ? Number(entryEl.dataset.entry) : null;
+
+    switch (action) {
+        case 'add-entry': addEntry(sectionId); break;
+        case 'remove-entry': removeEntry(sectionId, entryId); break;
+        case 'move-entry': moveEntry(sectionId, entryId, direction); break;
+        case 'move-section': moveSection(sectionId, direction); break;
+        case 'remove-section':
+            if (confirm('Bu bölüm silinsin mi?')) removeSection(sectionId);
+            break;
+    }
+}
+
+// === ÖNİZLEME (SAĞ PANEL) ===
+
 function updateCV() {
-    // Yardımcı fonksiyon: Input boşsa varsayılan metni koruma veya boş bırakma
-    function setVal(inputId, outputId, defaultText) {
-        const inputVal = document.getElementById(inputId).value;
-        const outputEl = document.getElementById(outputId);
-        
-        // Eğer input doluysa onu yaz, boşsa boş bırak veya tire koy (tercihe bağlı)
-        if (inputVal.trim() !== "") {
-            outputEl.innerText = inputVal;
-            outputEl.style.display = "block"; // Doluysa göster
-        } else {
-            // İstersen boşken gizleyebilirsin:
-            // outputEl.style.display = "none"; 
-            
-            // Ya da varsayılan bir metin tutabilirsin (Kullanıcı nerenin değiştiğini görsün diye):
-            outputEl.innerText = defaultText || "";
+    const preview = renderPreview(cvData);
+    const doc = document.getElementById('cv-document');
+    doc.className = preview.className;
+    doc.lang = preview.lang;
+    doc.innerHTML = preview.html;
+    updateAtsPanel();
+}
+
+// === ATS ANALİZ PANELİ ===
+// Hesaplama ats-analyzer.js'de; burada sadece CV metni üretilip sonuç çizilir
+
+function updateAtsPanel() {
+    const container = document.getElementById('atsResult');
+    const posting = (cvData.jobPosting || '').trim();
+    const warnings = findAtsWarnings(cvData, SECTION_TYPES);
+    let html = '';
+
+    if (posting) {
+        const result = matchKeywords(posting, cvToPlainText(cvData));
+        const level = result.score < 40 ? 'low' : result.score < 70 ? 'mid' : '';
+        const chips = (list, cls) => list.map(k => `<span class="${cls}">${escapeHtml(k.term)}</span>`).join('');
+
+        html += `
+            <div class="ats-score ${level}">
+                <span>Eşleşme: %${result.score}</span>
+                <div class="ats-score-bar"><span style="width: ${result.score}%"></span></div>
+            </div>`;
+        if (result.missing.length) {
+            html += `<div class="ats-label">Eksik anahtar kelimeler (${result.missing.length})</div>
+                <div class="ats-keywords">${chips(result.missing, 'missing')}</div>`;
+        }
+        if (result.matched.length) {
+            html += `<div class="ats-label">CV'de bulunanlar (${result.matched.length})</div>
+                <div class="ats-keywords">${chips(result.matched, 'matched')}</div>`;
         }
     }
 
-    // Kişisel Bilgiler
-    setVal('inName', 'outName', 'AD SOYAD');
-    setVal('inTitle', 'outTitle', 'Ünvan');
-    setVal('inEmail', 'outEmail', 'email@ornek.com');
-    setVal('inPhone', 'outPhone', '+90 555 555 55 55');
-    setVal('inLink', 'outLink', 'linkedin.com/in/profil');
-    setVal('inSummary', 'outSummary', 'Kısa kariyer özeti...');
+    if (warnings.length) {
+        const hasError = warnings.some(w => w.level === 'error');
+        html += `<div class="import-report ${hasError ? 'error' : 'warning'}">
+            <strong>ATS uyarıları (${warnings.length})</strong>
+            <ul>${warnings.map(w => `<li>${escapeHtml(w.message)}</li>`).join('')}</ul>
+        </div>`;
+    } else {
+        html += '<div class="import-report success">Yapısal bir ATS sorunu bulunamadı.</div>';
+    }
+
+    container.innerHTML = html;
+}
+
+// === OTOMATİK KAYIT VE SÜRÜMLER (localStorage) ===
+// Her başvuru için ayrı bir CV sürümü tutulabilir. Yapı:
+// { active: 'Genel CV', versions: { 'Genel CV': { updatedAt, data } } }
 
-    // Deneyim 1
-    setVal('inExp1Title', 'outExp1Title', 'Pozisyon Adı');
-    setVal('inExp1Comp', 'outExp1Comp', 'Şirket Adı');
-    setVal('inExp1Date', 'outExp1Date', 'Tarih');
-    setVal('inExp1Desc', 'outExp1Desc', 'İş tanımı...');
+const STORAGE_KEY = 'atsCvTool.versions';
+const DEFAULT_VERSION = 'Genel CV';
+
+let versionStore = { active: DEFAULT_VERSION, versions: {} };
+let activeVersion = DEFAULT_VERSION;
+let autosaveTimer = null;
+
+function loadStore() {
+    const damaged = [];
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && saved.versions && typeof saved.versions === 'object' && Object.keys(saved.versions).length) {
+            // Okunamayan sürüm boş CV ile açılır; diğer sürümler olduğu gibi kalır
+            Object.keys(saved.versions).forEach(name => {
+                const version = saved.versions[name];
+                if (version && isCvData(version.data)) return;
+                saved.versions[name] = { updatedAt: new Date().toISOString(), data: createDefaultCV() };
+                damaged.push(name);
+            });
+            versionStore = saved;
+        }
+    } catch (e) {
+        // Bozuk kayıt veya localStorage kapalı: boş bir depoyla devam et
+    }
 
-    // Deneyim 2
-    setVal('inExp2Title', 'outExp2Title', 'Pozisyon Adı');
-    setVal('inExp2Comp', 'outExp2Comp', 'Şirket Adı');
-    setVal('inExp2Date', 'outExp2Date', 'Tarih');
-    setVal('inExp2Desc', 'outExp2Desc', 'İş tanımı...');
+    if (!versionStore.versions[versionStore.active]) {
+        versionStore.active = Object.keys(versionStore.versions)[0] || DEFAULT_VERSION;
+    }
+    activeVersion = versionStore.active;
 
-    // Eğitim
-    setVal('inEdu1School', 'outEdu1School', 'Üniversite Adı');
-    setVal('inEdu1Dept', 'outEdu1Dept', 'Bölüm');
-    setVal('inEdu1Date', 'outEdu1Date', 'Yıl');
+    const saved = versionStore.versions[activeVersion];
+    if (saved) setCvData(saved.data);
+    if (damaged.length) {
+        const report = document.getElementById('importReport');
+        report.className = 'import-report warning';
+        report.textContent = `Okunamayan sürüm boş CV ile açıldı: ${damaged.join(', ')}`;
+    }
+}
 
-    // Yetkinlikler
-    setVal('inSkills', 'outSkills', 'Yetenekler...');
+// Yazmayı yarım saniye geciktir, her tuş vuruşunda localStorage'a gitme
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveNow, 500);
 }
 
-// PDF İndirme Fonksiyonu
-function downloadPDF() {
-    const element = document.getElementById('cv-document');
-    
-    // Mobilden girenler için uyarı (Opsiyonel)
-    if(window.innerWidth < 900) {
-        alert("PDF oluşturuluyor, lütfen bekleyin...");
+function saveNow() {
+    clearTimeout(autosaveTimer);
+    versionStore.active = activeVersion;
+    versionStore.versions[activeVersion] = { updatedAt: new Date().toISOString(), data: cvData };
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(versionStore));
+        setSaveStatus('Kaydedildi ' + new Date().toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' }));
+    } catch (e) {
+        setSaveStatus('Kaydedilemedi (tarayıcı depolaması dolu veya kapalı)');
+    }
+}
+
+function setSaveStatus(text) {
+    const el = document.getElementById('saveStatus');
+    if (el) el.textContent = text;
+}
+
+// Modeli değiştir (varsayılanlar ve id sayacı cv-model.js -> prepareCvData)
+function setCvData(data) {
+    cvData = prepareCvData(data);
+}
+
+function renderVersionSelect() {
+    const select = document.getElementById('versionSelect');
+    select.innerHTML = Object.keys(versionStore.versions).map(name =>
+        `<option value="${escapeHtml(name)}" ${name === activeVersion ? 'selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+}
+
+function switchVersion(name) {
+    saveNow();
+    activeVersion = name;
+    setCvData(versionStore.versions[name].data);
+    renderVersionSelect();
+    refresh();
+}
+
+// Yeni sürüm mevcut CV'nin kopyasıyla başlar (başvuruya göre uyarlamak için)
+function createVersion(name) {
+    if (versionStore.versions[name]) {
+        alert('Bu isimde bir sürüm zaten var.');
+        return;
+    }
+    saveNow();
+    activeVersion = name;
+    setCvData(JSON.parse(JSON.stringify(cvData)));
+    saveNow();
+    renderVersionSelect();
+    refresh();
+}
+
+function deleteVersion(name) {
+    delete versionStore.versions[name];
+
+    const remaining = Object.keys(versionStore.versions);
+    if (remaining.length) {
+        activeVersion = remaining[0];
+        setCvData(versionStore.versions[activeVersion].data);
+    } else {
+        activeVersion = DEFAULT_VERSION;
+        setCvData(createDefaultCV());
     }
+    saveNow();
+    renderVersionSelect();
+    refresh();
+}
+
+// === JSON RESUME İÇE / DIŞA AKTARMA ===
+// Dönüşüm cv-model.js'de (toJsonResume / fromJsonResume); burada dosya okunur/indirilir.
+
+function exportJsonResume() {
+    const blob = new Blob([JSON.stringify(toJsonResume(cvData), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, exportFileName('json'));
+}
+
+function importJsonResume(file) {
+    const report = document.getElementById('importReport');
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        try {
+            const { data, unmapped } = fromJsonResume(JSON.parse(reader.result));
+            data.jobPosting = cvData.jobPosting; // Yapıştırılmış ilan içe aktarmada kaybolmasın
+            setCvData(data);
+            refresh();
 
-    const opt = {
-        margin:       0, // Kenar boşluğunu CSS'de verdik (padding), burayı 0 yapıyoruz
-        filename:     'benim_cv.pdf',
-        image:        { type: 'jpeg', quality: 0.98 },
-        html2canvas:  { scale: 2, useCORS: true },
-        jsPDF:        { unit: 'mm', format: 'a4', orientation: 'portrait' }
+            report.className = 'import-report ' + (unmapped.length ? 'warning' : 'success');
+            report.innerHTML = unmapped.length
+                ? `<strong>İçe aktarıldı, ancak şu alanlar aktarılamadı:</strong><ul>${unmapped.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`
+                : 'Tüm alanlar başarıyla içe aktarıldı.';
+        } catch (e) {
+            report.className = 'import-report error';
+            report.textContent = 'Dosya okunamadı: ' + e.message;
+        }
     };
+    reader.readAsText(file);
+}
+
+function initEditor() {
+    const panel = document.querySelector('.editor-panel');
+    panel.addEventListener('input', handleEditorInput);
+    panel.addEventListener('click', handleEditorClick);
+
+    document.getElementById('versionSelect').addEventListener('change', e => switchVersion(e.target.value));
+    document.getElementById('importFile').addEventListener('change', e => {
+        if (e.target.files[0]) importJsonResume(e.target.files[0]);
+        e.target.value = ''; // Aynı dosya tekrar seçilebilsin
+    });
+
+    const options = table => Object.keys(table)
+        .map(key => `<option value="${key}">${escapeHtml(table[key].label)}</option>`)
+        .join('');
+    document.getElementById('templateSelect').innerHTML = options(TEMPLATES);
+    document.getElementById('languageSelect').innerHTML = options(CV_LANGUAGES);
+
+    // Yeni bölüm seçenekleri tip listesinden gelir
+    document.getElementById('newSectionType').innerHTML = options(SECTION_TYPES);
+
+    loadStore();
+    renderVersionSelect();
+    refresh();
+}
+
+// === İNDİRME (PDF / DOCX / TXT / JSON) ===
+// Çıktılar önizleme DOM'undan değil, doğrudan modelden üretilir (cv-export.js).
+
+// "Ali Veli" -> "ali_veli_cv.pdf"; isim boşsa sürüm adı kullanılır
+function exportFileName(extension) {
+    const name = cvData.personal.name.trim() || activeVersion;
+    const slug = name.toLocaleLowerCase('tr-TR').replace(/[^a-z0-9çğıöşü]+/g, '_').replace(/^_|_$/g, '');
+    return (slug ? slug + '_cv' : 'cv') + '.' + extension;
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function downloadPDF() {
+    downloadBlob(createTextPdf(buildExportDocument(cvData)), exportFileName('pdf'));
+}
+
+function downloadDOCX() {
+    downloadBlob(createDocx(buildExportDocument(cvData)), exportFileName('docx'));
+}
+
+function downloadText() {
+    const blob = new Blob([cvToPlainText(cvData)], { type: 'text/plain;charset=utf-8' });
+    downloadBlob(blob, exportFileName('txt'));
+}
 
-    html2pdf().set(opt).from(element).save();
-}
\ No newline at end of file
+initEditor();
@@ -0,0 +1,407 @@
+/**
+ * Banana Engine - DOM-free economy of the Cyber Banana game (game.html)
+ *
+ * Every cost, rate and bonus lives in BALANCE, so a new staff member, machine
+ * or random event is a config entry rather than another if-branch. Actions
+ * and tick() never touch their input: they return { state, events, error }
+ * with a fresh state, and the page turns the events into toasts, dialogues
+ * and animations.
+ *
+ * Time is in seconds; production runs once per whole second of game time.
+ *
+ * stats, achievements and prestige outlive a rebirth; everything else in
+ * the state belongs to the current run.
+ */
+
+const BALANCE = {
+    click: 1,
+    storage: { capacity: 200, cost: 150, capacityGrowth: 2, costGrowth: 2.5 },
+    // crash/boom: price levels the market-timing achievements and Servet react to
+    market: { start: 1, min: 0.1, max: 5, volatility: 0.4, interval: 5, crash: 0.5, boom: 3, history: 120 },
+    prices: { steel: 75, isotope: 250 },
+    // Lines run in this order every second; input is bananas per unit,
+    // minOutput keeps a line useful while an event slows it down
+    machines: {
+        stajyer: { cost: 20, costGrowth: 1.25, output: { banana: 1 }, minOutput: 1, switchable: false },
+        factory: { cost: 500, costGrowth: 1.2, input: { banana: 10 }, output: { steel: 1 }, switchable: true },
+        lab: { cost: 2500, costGrowth: 1.3, input: { banana: 25 }, output: { isotope: 1 }, switchable: true }
+    },
+    // Effects multiply: output and consumption per line, rocketCost per
+    // resource, sellPrice for every sale. click takes the best bonus on staff.
+    staff: {
+        emre: { name: "Emre Öztürk", role: "Güvenlik Şefi", desc: "Stajyer hızını %30 artırır.", cost: { money: 2000, steel: 25 }, effects: { output: { stajyer: 1.3 }, click: 1.3 } },
+        dogi: { name: "Doğukan (Dogi)", role: "Baş Mühendis", desc: "Fabrika tüketimini %20 azaltır.", cost: { money: 5000, steel: 50 }, effects: { consumption: { factory: 0.8, lab: 0.8 } } },
+        mert: { name: "Mert Uçar", role: "Bakım Şefi", desc: "Roket maliyetini %20 düşürür.", cost: { money: 10000, steel: 100 }, effects: { rocketCost: { money: 0.8, steel: 0.8 } } },
+        mehmet: { name: "Mehmet Seçer", role: "Nükleer Direktör", desc: "Laboratuvar hızını %25 artırır.", cost: { money: 15000, isotope: 25 }, effects: { output: { lab: 1.25 } } },
+        servet: { name: "Servet Kasimoğlu", role: "İhracat Müdürü", desc: "Satış gelirlerini %20 artırır.", cost: { money: 25000 }, effects: { sellPrice: 1.2 } },
+        furkan: { name: "Furkan Sakız", role: "Kaos Lordu", desc: "Üretim x10, Stajyer x10.", cost: { money: 1000000, steel: 2000, isotope: 500 }, rage: true, effects: { output: { stajyer: 10, factory: 10, lab: 10 }, click: 10 } }
+    },
+    rocket: { cost: { money: 5000, steel: 100, isotope: 20 }, parts: 10 },
+    // Each rebirth after a finished rocket adds these to the permanent multipliers
+    prestige: { bonus: { output: 0.25, sellPrice: 0.1 } },
+    casino: { roulette: { payout: 2 }, dice: { payout: 5 } },
+    // Rolled once a second: the mystery box first, then one timed event
+    // unless one is already running or its line has no units
+    randomEvents: {
+        chance: 0.05,
+        mysteryBox: { chance: 0.005, min: 1000, max: 5000, requires: 'stajyer' },
+        events: [
+            { id: 'accident', title: "İŞ KAZASI", text: "Laboratuvarda kaza! Üretim %50 düştü.", target: 'lab', multiplier: 0.5, duration: 15, type: 'bad' },
+            { id: 'maintenance', title: "BAKIM YAPILDI", text: "Dökümhane yağlandı. Hız %25 arttı.", target: 'factory', multiplier: 1.25, duration: 15, type: 'good' },
+            { id: 'genius', title: "BİLİMSEL DEHA", text: "Yeni formül bulundu! Lab x2 Hız!", target: 'lab', multiplier: 2.0, duration: 10, type: 'epic' }
+        ]
+    },
+    // Checked after every action and tick; `on` limits a check to one event type
+    achievements: [
+        { id: 'firstHire', title: "İLK MAAŞ", desc: "İlk yöneticini işe al.", icon: "🤝", on: 'hired' },
+        { id: 'rage', title: "KAOS LORDU", desc: "Furkan'la Rage Mode'u başlat.", icon: "👹", on: 'rage' },
+        { id: 'luckyStreak', title: "ŞANS SERİSİ", desc: "Casinoda üst üste 3 kez kazan.", icon: "🍀", on: 'betSettled', check: (state) => state.stats.winStreak >= 3 },
+        { id: 'houseWins', title: "KASA HEP KAZANIR", desc: "Casinoda üst üste 5 kez kaybet.", icon: "💸", on: 'betSettled', check: (state) => state.stats.lossStreak >= 5 },
+        { id: 'panicSell', title: "PANİK SATIŞI", desc: "Piyasa çökmüşken muz sat.", icon: "📉", on: 'sold', check: (state, event) => event.resource === 'banana' && event.marketPrice <= BALANCE.market.crash },
+        { id: 'peakSell', title: "TEPEDEN SATIŞ", desc: "Kur zirvedeyken muz sat.", icon: "📈", on: 'sold', check: (state, event) => event.resource === 'banana' && event.marketPrice >= BALANCE.market.boom },
+        { id: 'bananaBaron', title: "MUZ BARONU", desc: "Toplam 100.000 muz üret.", icon: "🍌", check: (state) => state.stats.bananas >= 100000 },
+        { id: 'millionaire', title: "MİLYONER", desc: "Satışlardan toplam 1.000.000₺ kazan.", icon: "💰", check: (state) => state.stats.moneyEarned >= 1000000 },
+        { id: 'rocket', title: "GALAKSİ FATİHİ", desc: "Warp motorunu tamamla.", icon: "🚀", on: 'win' },
+        { id: 'rebirth', title: "YENİDEN DOĞUŞ", desc: "Motoru bitirip yeniden doğ.", icon: "♻️", on: 'rebirth' }
+    ]
+};
+
+const RESOURCE_NAMES = { money: "Nakit", banana: "Muz", steel: "Çelik", isotope: "İzotop" };
+
+function mapKeys(source, value) {
+    const result = {};
+    for (const key of Object.keys(source)) result[key] = value(key);
+    return result;
+}
+
+function createStats() {
+    return { bananas: 0, moneyEarned: 0, casinoWon: 0, casinoLost: 0, winStreak: 0, lossStreak: 0, bestStreak: 0, playTime: 0, marketHistory: [] };
+}
+
+function createGameState() {
+    return {
+        money: 0, banana: 0, steel: 0, isotope: 0, rocketParts: 0,
+        storageCap: BALANCE.storage.capacity,
+        units: mapKeys(BALANCE.machines, () => 0),
+        active: mapKeys(BALANCE.machines, () => true),
+        multipliers: mapKeys(BALANCE.machines, () => 1),
+        staff: mapKeys(BALANCE.staff, () => false),
+        costs: { storage: BALANCE.storage.cost },
+        marketPrice: BALANCE.market.start,
+        elapsed: 0,
+        activeEvent: null,
+        stats: createStats(),
+        achievements: Object.fromEntries(BALANCE.achievements.map(a => [a.id, false])),
+        prestige: { level: 0 }
+    };
+}
+
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+function actionResult(state, events = []) {
+    return { state, events: events.concat(unlockAchievements(state, events)), error: null };
+}
+
+// A refused action hands back the state it was given
+function actionError(state, error) {
+    return { state, events: [], error };
+}
+
+// === Balancing ===
+
+// Product of one effect over hired staff; key picks a per-line/per-resource entry
+function staffBonus(state, effect, key) {
+    let bonus = 1;
+    for (const [id, data] of Object.entries(BALANCE.staff)) {
+        if (!state.staff[id] || data.effects[effect] === undefined) continue;
+        const value = key === undefined ? data.effects[effect] : data.effects[effect][key];
+        if (typeof value === 'number') bonus *= value;
+    }
+    return bonus;
+}
+
+// Permanent multiplier from rebirths
+function prestigeBonus(state, effect) {
+    return 1 + state.prestige.level * (BALANCE.prestige.bonus[effect] || 0);
+}
+
+function clickAmount(state) {
+    let best = 1;
+    for (const [id, data] of Object.entries(BALANCE.staff)) {
+        if (state.staff[id] && data.effects.click) best = Math.max(best, data.effects.click);
+    }
+    return BALANCE.click * best * prestigeBonus(state, 'output');
+}
+
+function unitCost(state, type) {
+    const machine = BALANCE.machines[type];
+    return Math.floor(machine.cost * Math.pow(machine.costGrowth, state.units[type]));
+}
+
+// What one unit of a line makes per second, before minOutput
+function outputPerUnit(state, type) {
+    return (state.multipliers[type] || 1) * staffBonus(state, 'output', type) * prestigeBonus(state, 'output');
+}
+
+function consumptionPerUnit(state, type) {
+    const input = BALANCE.machines[type].input;
+    return input ? input.banana * staffBonus(state, 'consumption', type) : 0;
+}
+
+// Whole line per second; minOutput applies before staff bonuses
+function lineOutput(state, type) {
+    const machine = BALANCE.machines[type];
+    let amount = state.units[type] * (state.multipliers[type] || 1);
+    if (machine.minOutput && amount < machine.minOutput) amount = machine.minOutput;
+    return amount * staffBonus(state, 'output', type) * prestigeBonus(state, 'output');
+}
+
+// Bananas gained per second if every running line gets its input
+function netBananaRate(state) {
+    let net = 0;
+    for (const [type, machine] of Object.entries(BALANCE.machines)) {
+        if (state.units[type] <= 0 || (machine.switchable && !state.active[type])) continue;
+        if (machine.output.banana) net += lineOutput(state, type) * machine.output.banana;
+        net -= consumptionPerUnit(state, type) * state.units[type];
+    }
+    return net;
+}
+
+function sellPrice(state, resource) {
+    const base = resource === 'banana' ? state.marketPrice : BALANCE.prices[resource];
+    return base * staffBonus(state, 'sellPrice') * prestigeBonus(state, 'sellPrice');
+}
+
+function rocketCost(state) {
+    return mapKeys(BALANCE.rocket.cost, (resource) => Math.round(BALANCE.rocket.cost[resource] * staffBonus(state, 'rocketCost', resource)));
+}
+
+function canAfford(state, cost) {
+    return Object.entries(cost).every(([resource, amount]) => state[resource] >= amount);
+}
+
+function payCost(state, cost) {
+    for (const [resource, amount] of Object.entries(cost)) state[resource] -= amount;
+}
+
+function missingResources(state, cost) {
+    return Object.keys(cost).filter(resource => state[resource] < cost[resource]).map(resource => RESOURCE_NAMES[resource]).join(', ');
+}
+
+// === Player actions ===
+
+function harvest(state) {
+    if (state.banana >= state.storageCap) return actionError(state, "Depo dolu.");
+    const next = cloneState(state);
+    const amount = clickAmount(next);
+    const before = next.banana;
+    next.banana = Math.min(next.banana + amount, next.storageCap);
+    next.stats.bananas += next.banana - before;
+    return actionResult(next, [{ type: 'click', amount }]);
+}
+
+function sell(state, resource, amount) {
+    const quantity = Math.min(amount, state[resource]);
+    if (!(quantity > 0)) return actionError(state, `Yetersiz ${RESOURCE_NAMES[resource]} veya geçersiz miktar.`);
+    const next = cloneState(state);
+    const price = sellPrice(next, resource);
+    next[resource] -= quantity;
+    next.money += quantity * price;
+    next.stats.moneyEarned += quantity * price;
+    return actionResult(next, [{ type: 'sold', resource, amount: quantity, price, marketPrice: next.marketPrice, money: quantity * price }]);
+}
+
+function buyUnit(state, type) {
+    const cost = unitCost(state, type);
+    if (state.money < cost) return actionError(state, "Yetersiz bakiye.");
+    const next = cloneState(state);
+    next.money -= cost;
+    next.units[type]++;
+    if (BALANCE.machines[type].switchable) next.active[type] = true;
+    return actionResult(next, [{ type: 'bought', unit: type, cost }]);
+}
+
+function toggleLine(state, type) {
+    const next = cloneState(state);
+    next.active[type] = !next.active[type];
+    return actionResult(next, [{ type: 'toggled', unit: type, active: next.active[type] }]);
+}
+
+function expandStorage(state) {
+    const cost = state.costs.storage;
+    if (state.money < cost) return actionError(state, "Yetersiz bakiye.");
+    const next = cloneState(state);
+    next.money -= cost;
+    next.storageCap *= BALANCE.storage.capacityGrowth;
+    next.costs.storage = Math.floor(cost * BALANCE.storage.costGrowth);
+    return actionResult(next, [{ type: 'storage', capacity: next.storageCap, cost }]);
+}
+
+function buildRocketPart(state) {
+    if (state.rocketParts >= BALANCE.rocket.parts) return actionError(state, "Motor zaten tamamlandı.");
+    const cost = rocketCost(state);
+    if (!canAfford(state, cost)) return actionError(state, `Eksik: ${missingResources(state, cost)}.`);
+    const next = cloneState(state);
+    payCost(next, cost);
+    next.rocketParts++;
+    const events = [{ type: 'rocketPart', parts: next.rocketParts }];
+    if (next.rocketParts >= BALANCE.rocket.parts) events.push({ type: 'win' });
+    return actionResult(next, events);
+}
+
+function hire(state, key) {
+    const data = BALANCE.staff[key];
+    if (!data) return actionError(state, "Böyle bir personel yok.");
+    if (state.staff[key]) return actionError(state, `${data.name} zaten kadroda.`);
+    if (!canAfford(state, data.cost)) return actionError(state, `Eksik: ${missingResources(state, data.cost)}.`);
+    const next = cloneState(state);
+    payCost(next, data.cost);
+    next.staff[key] = true;
+    const events = [{ type: 'hired', staff: key }];
+    if (data.rage) events.push({ type: 'rage', staff: key });
+    return actionResult(next, events);
+}
+
+// Casino stakes leave the balance when the bet is placed and come back
+// with the payout once the wheel or dice settles
+function placeBet(state, game, amount) {
+    if (!BALANCE.casino[game]) return actionError(state, "Böyle bir oyun yok.");
+    if (!(amount > 0) || amount > state.money) return actionError(state, "Geçersiz bahis.");
+    const next = cloneState(state);
+    next.money -= amount;
+    return actionResult(next, [{ type: 'bet', game, amount }]);
+}
+
+function settleBet(state, game, amount, won) {
+    const next = cloneState(state);
+    const stats = next.stats;
+    const payout = won ? amount * BALANCE.casino[game].payout : 0;
+    next.money += payout;
+    if (won) {
+        stats.casinoWon += payout - amount;
+        stats.winStreak++;
+        stats.lossStreak = 0;
+        stats.bestStreak = Math.max(stats.bestStreak, stats.winStreak);
+    } else {
+        stats.casinoLost += amount;
+        stats.lossStreak++;
+        stats.winStreak = 0;
+    }
+    return actionResult(next, [{ type: 'betSettled', game, amount, won, payout }]);
+}
+
+// A finished rocket can be traded for a fresh run with a higher prestige level
+function rebirth(state) {
+    if (state.rocketParts < BALANCE.rocket.parts) return actionError(state, "Önce warp motorunu tamamla.");
+    const next = createGameState();
+    next.stats = cloneState(state.stats);
+    next.achievements = { ...next.achievements, ...state.achievements };
+    next.prestige = { level: state.prestige.level + 1 };
+    return actionResult(next, [{ type: 'rebirth', level: next.prestige.level }]);
+}
+
+function unlockAchievements(state, events) {
+    const unlocked = [];
+    for (const achievement of BALANCE.achievements) {
+        if (state.achievements[achievement.id]) continue;
+        const check = achievement.check || (() => true);
+        const reached = achievement.on
+            ? events.some(event => event.type === achievement.on && check(state, event))
+            : check(state);
+        if (!reached) continue;
+        state.achievements[achievement.id] = true;
+        unlocked.push({ type: 'achievement', achievement });
+    }
+    return unlocked;
+}
+
+// === Tick ===
+
+function runProduction(state) {
+    for (const [type, machine] of Object.entries(BALANCE.machines)) {
+        if (state.units[type] <= 0 || (machine.switchable && !state.active[type])) continue;
+        if (machine.input) {
+            const need = consumptionPerUnit(state, type) * state.units[type];
+            if (state.banana < need) continue;
+            state.banana -= need;
+        }
+        const amount = lineOutput(state, type);
+        const bananas = state.banana;
+        for (const [resource, perUnit] of Object.entries(machine.output)) {
+            state[resource] += amount * perUnit;
+        }
+        if (machine.output.banana && state.banana > state.storageCap) state.banana = state.storageCap;
+        if (state.banana > bananas) state.stats.bananas += state.banana - bananas;
+    }
+}
+
+function rollRandomEvent(state, events, random) {
+    const config = BALANCE.randomEvents;
+    const box = config.mysteryBox;
+    if (state.units[box.requires] > 0 && random() < box.chance) {
+        const prize = Math.floor(random() * (box.max - box.min + 1)) + box.min;
+        state.money += prize;
+        events.push({ type: 'prize', amount: prize });
+        return;
+    }
+    if (state.activeEvent || random() > config.chance) return;
+    const event = config.events[Math.floor(random() * config.events.length)];
+    if (state.units[event.target] === 0) return;
+    state.multipliers[event.target] = event.multiplier;
+    state.activeEvent = { id: event.id, target: event.target, remaining: event.duration };
+    events.push({ type: 'eventStart', event });
+}
+
+function finishRandomEvent(state, events) {
+    if (!state.activeEvent || --state.activeEvent.remaining > 0) return;
+    const event = BALANCE.randomEvents.events.find(e => e.id === state.activeEvent.id);
+    state.multipliers[state.activeEvent.target] = 1;
+    state.activeEvent = null;
+    events.push({ type: 'eventEnd', event });
+}
+
+function moveMarket(state, events, random) {
+    const market = BALANCE.market;
+    const previous = state.marketPrice;
+    const price = Math.min(Math.max(previous + (random() - 0.5) * market.volatility, market.min), market.max);
+    state.marketPrice = price;
+    state.stats.marketHistory.push(price);
+    if (state.stats.marketHistory.length > market.history) state.stats.marketHistory.shift();
+    events.push({ type: 'market', price, previous });
+}
+
+/**
+ * Advances the economy by dt seconds. Each whole second crossed runs one
+ * step: random events, production, event timers, and the market every
+ * BALANCE.market.interval seconds.
+ * options.random replaces Math.random (tests pass a seeded one);
+ * options.randomEvents: false skips event rolls, as offline progress does.
+ */
+function tick(state, dt, options = {}) {
+    const random = options.random || Math.random;
+    const next = cloneState(state);
+    const events = [];
+    const start = next.elapsed || 0;
+    const steps = Math.floor(start + dt) - Math.floor(start);
+    for (let i = 1; i <= steps; i++) {
+        const second = Math.floor(start) + i;
+        if (options.randomEvents !== false) rollRandomEvent(next, events, random);
+        runProduction(next);
+        finishRandomEvent(next, events);
+        if (second % BALANCE.market.interval === 0) moveMarket(next, events, random);
+    }
+    next.elapsed = start + dt;
+    next.stats.playTime += dt;
+    return actionResult(next, events);
+}
+
+// Lets Node scripts run the economy headless: require('./banana-engine.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BALANCE, RESOURCE_NAMES, createGameState, staffBonus, clickAmount, unitCost, outputPerUnit, consumptionPerUnit,
+        prestigeBonus, lineOutput, netBananaRate, sellPrice, rocketCost, canAfford, harvest, sell, buyUnit, toggleLine,
+        expandStorage, buildRocketPart, hire, placeBet, settleBet, rebirth, unlockAchievements, tick
+    };
+}
@@ -0,0 +1,1019 @@
+/**
+ * Factory Engine - DOM-free discrete-event model of the factory_sim line
+ *
+ * The engine jumps from event to event (arrival, finish, failure, repair)
+ * instead of stepping a fixed clock, so hours of simulated time take
+ * milliseconds. factory_sim.html animates it by advancing in small slices;
+ * runReplications() runs it flat out for statistics.
+ *
+ * Time is in the same unit as the scenario's processingTime/mtbf/mttr.
+ */
+
+// Distribution shapes per station. Means stay in processingTime/mtbf/mttr.
+//   process.spread: triangular ±% around the mean, or the normal's CV in %
+//   failure.shape: Weibull k (k > 1 = wear-out, k < 1 = early failures)
+//   repair.cv: lognormal coefficient of variation
+const STATION_DEFAULTS = {
+    process: { dist: 'triangular', spread: 20 },
+    failure: { dist: 'exponential', shape: 1.5 },
+    repair: { dist: 'lognormal', cv: 0.5 }
+};
+
+const DISTRIBUTIONS = {
+    process: ['constant', 'triangular', 'normal', 'exponential'],
+    failure: ['exponential', 'weibull'],
+    repair: ['lognormal', 'constant'],
+    arrival: ['constant', 'exponential']
+};
+
+// Seeded PRNG (Mulberry32): same seed, same run
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Lanczos approximation; needed to scale a Weibull to a given mean
+function gamma(z) {
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (z < 0.5) return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+    z -= 1;
+    let x = c[0];
+    for (let i = 1; i < g + 2; i++) x += c[i] / (z + i);
+    const t = z + g + 0.5;
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
+}
+
+function sampleExponential(mean, random) {
+    return -mean * Math.log(1 - random());
+}
+
+function sampleStandardNormal(random) {
+    // Box-Muller
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function sampleProcessingTime(mean, process, random) {
+    switch (process.dist) {
+        case 'triangular': {
+            const low = mean * (1 - process.spread / 100);
+            const high = mean * (1 + process.spread / 100);
+            const u = random();
+            // Symmetric around the mean, so mode = mean
+            return u < 0.5
+                ? low + Math.sqrt(u * (high - low) * (mean - low))
+                : high - Math.sqrt((1 - u) * (high - low) * (high - mean));
+        }
+        case 'normal':
+            // Truncated at 5% of the mean: a machine can't finish instantly
+            return Math.max(mean * 0.05, mean * (1 + sampleStandardNormal(random) * process.spread / 100));
+        case 'exponential':
+            return sampleExponential(mean, random);
+        default:
+            return mean;
+    }
+}
+
+function sampleTimeToFailure(mtbf, failure, random) {
+    if (failure.dist === 'weibull') {
+        const scale = mtbf / gamma(1 + 1 / failure.shape);
+        return scale * Math.pow(-Math.log(1 - random()), 1 / failure.shape);
+    }
+    return sampleExponential(mtbf, random);
+}
+
+function sampleRepairTime(mttr, repair, random) {
+    if (repair.dist === 'constant' || !(repair.cv > 0)) return mttr;
+    const sigma2 = Math.log(1 + repair.cv * repair.cv);
+    const mu = Math.log(mttr) - sigma2 / 2;
+    return Math.exp(mu + Math.sqrt(sigma2) * sampleStandardNormal(random));
+}
+
+function sampleInterarrival(rate, dist, random) {
+    return dist === 'exponential' ? sampleExponential(1 / rate, random) : 1 / rate;
+}
+
+// === Scenario model ===
+
+function processingTimeFor(config, productId) {
+    const override = config.productTimes[productId];
+    return override > 0 ? override : config.processingTime;
+}
+
+// Mix-weighted mean processing time of a station
+function meanProcessingTime(config, products) {
+    const totalMix = products.reduce((sum, p) => sum + p.mix, 0) || 1;
+    return products.reduce((sum, p) => sum + processingTimeFor(config, p.id) * p.mix, 0) / totalMix;
+}
+
+// Expected visits per arriving unit. Rework loops make upstream stations
+// process some units more than once; scrap removes units from downstream.
+function computeVisitRatios(stations) {
+    const visits = stations.map(() => 0);
+
+    // Fixed-point iteration over the routing; converges because every
+    // loop returns with probability < 1
+    for (let iter = 0; iter < 200; iter++) {
+        const next = stations.map((_, i) => (i === 0 ? 1 : 0));
+        stations.forEach((config, i) => {
+            const q = config.quality;
+            const rework = q ? q.reworkRate / 100 : 0;
+            const scrap = q ? q.scrapRate / 100 : 0;
+            const target = q ? stations.findIndex(s => s.id === q.reworkTo) : -1;
+
+            if (i + 1 < stations.length) next[i + 1] += visits[i] * (1 - rework - scrap);
+            if (target >= 0 && target <= i) next[target] += visits[i] * rework;
+            else if (i + 1 < stations.length) next[i + 1] += visits[i] * rework;
+        });
+        const delta = next.reduce((max, v, i) => Math.max(max, Math.abs(v - visits[i])), 0);
+        next.forEach((v, i) => { visits[i] = v; });
+        if (delta < 1e-9) break;
+    }
+    return visits;
+}
+
+// Units per time unit a station can process, per arriving unit's worth of work
+function stationCapacity(config, visits, products) {
+    return config.machines / (meanProcessingTime(config, products) * Math.max(visits, 1e-9));
+}
+
+// Share of time a machine is up. Failures are time-based, so they count
+// whether the machine is busy or not.
+function stationAvailability(config) {
+    return config.mtbf / (config.mtbf + config.mttr);
+}
+
+// Capacity after failures: what the station sustains over a long run
+function effectiveCapacity(config, visits, products) {
+    return stationCapacity(config, visits, products) * stationAvailability(config);
+}
+
+// Expected processing content of one unit, counting repeat visits caused by rework
+function calculateCycleTime(scenario) {
+    const visits = computeVisitRatios(scenario.stations);
+    return scenario.stations.reduce((sum, s, i) => sum + meanProcessingTime(s, scenario.products) * visits[i], 0);
+}
+
+// Share of arriving units that leave the line as good output
+function finalYield(scenario) {
+    const visits = computeVisitRatios(scenario.stations);
+    const scrapped = scenario.stations.reduce((sum, s, i) => sum + (s.quality ? visits[i] * s.quality.scrapRate / 100 : 0), 0);
+    return Math.max(0, 1 - scrapped);
+}
+
+// Theoretical maximum output rate: the tightest station capacity or the
+// input rate, whichever is lower; scrap shrinks what reaches the end
+function theoreticalOutputRate(scenario) {
+    const visits = computeVisitRatios(scenario.stations);
+    const capacity = Math.min(...scenario.stations.map((s, i) => stationCapacity(s, visits[i], scenario.products)));
+    return Math.min(capacity, scenario.inputRate) * finalYield(scenario);
+}
+
+// Scenario JSON: validated and normalised so a hand-edited file can't break the line
+function validateScenario(data) {
+    const errors = [];
+    const isPositive = v => typeof v === 'number' && v > 0;
+
+    if (!data || typeof data !== 'object') return ['Dosya bir JSON nesnesi değil.'];
+    if (!isPositive(data.inputRate)) errors.push('inputRate pozitif bir sayı olmalı.');
+    if (data.seed !== undefined && !Number.isInteger(data.seed)) errors.push('seed bir tam sayı olmalı.');
+    if (!Array.isArray(data.products) || !data.products.length) {
+        errors.push('products en az bir ürün içermeli.');
+    } else {
+        data.products.forEach((p, i) => {
+            if (!p || !/^[\w-]+$/.test(p.id)) errors.push(`products[${i}].id harf/rakam olmalı.`);
+            if (!p || typeof p.mix !== 'number' || p.mix < 0) errors.push(`products[${i}].mix negatif olmayan bir sayı olmalı.`);
+        });
+    }
+    if (!Array.isArray(data.stations) || !data.stations.length) {
+        errors.push('stations en az bir istasyon içermeli.');
+        return errors;
+    }
+
+    const ids = new Set();
+    data.stations.forEach((s, i) => {
+        const at = `stations[${i}]`;
+        if (!s || typeof s !== 'object') {
+            errors.push(`${at} bir nesne olmalı.`);
+            return;
+        }
+        if (!Number.isInteger(s.id) || ids.has(s.id)) errors.push(`${at}.id benzersiz bir tam sayı olmalı.`);
+        ids.add(s.id);
+        if (typeof s.name !== 'string' || !s.name.trim()) errors.push(`${at}.name boş olamaz.`);
+        ['processingTime', 'mtbf', 'mttr'].forEach(key => {
+            if (!isPositive(s[key])) errors.push(`${at}.${key} pozitif bir sayı olmalı.`);
+        });
+        if (!Number.isInteger(s.machines) || s.machines < 1) errors.push(`${at}.machines en az 1 olmalı.`);
+        if (!Number.isInteger(s.bufferSize) || s.bufferSize < 1) errors.push(`${at}.bufferSize en az 1 olmalı.`);
+        ['process', 'failure', 'repair'].forEach(kind => {
+            if (s[kind] && !DISTRIBUTIONS[kind].includes(s[kind].dist)) {
+                errors.push(`${at}.${kind}.dist şunlardan biri olmalı: ${DISTRIBUTIONS[kind].join(', ')}.`);
+            }
+        });
+        if (s.quality) {
+            const q = s.quality;
+            if (!(q.reworkRate >= 0) || !(q.scrapRate >= 0) || q.reworkRate + q.scrapRate > 90) {
+                errors.push(`${at}.quality oranları 0-90 arasında olmalı (toplam en fazla %90).`);
+            }
+            const target = data.stations.findIndex(t => t && t.id === q.reworkTo);
+            if (target < 0 || target > i) errors.push(`${at}.quality.reworkTo önceki bir istasyonu göstermeli.`);
+        }
+    });
+    return errors;
+}
+
+// Missing or unknown distribution settings fall back to STATION_DEFAULTS
+function normalizeDistribution(kind, value) {
+    const fallback = STATION_DEFAULTS[kind];
+    const source = value && DISTRIBUTIONS[kind].includes(value.dist) ? value : fallback;
+    const result = { dist: source.dist };
+    Object.keys(fallback).filter(key => key !== 'dist').forEach(key => {
+        result[key] = source[key] > 0 ? source[key] : fallback[key];
+    });
+    return result;
+}
+
+// Returns a fresh copy, so presets and loaded files are never edited in place
+function normalizeScenario(data) {
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'İsimsiz Senaryo',
+        seed: Number.isInteger(data.seed) ? data.seed : 2026,
+        inputRate: data.inputRate,
+        arrivalDist: DISTRIBUTIONS.arrival.includes(data.arrivalDist) ? data.arrivalDist : 'constant',
+        products: data.products.map(p => ({ id: p.id, name: String(p.name || p.id), mix: p.mix })),
+        stations: data.stations.map(s => {
+            const config = {
+                id: s.id, name: s.name.trim(), machines: s.machines, processingTime: s.processingTime,
+                productTimes: {}, bufferSize: s.bufferSize, mtbf: s.mtbf, mttr: s.mttr,
+                process: normalizeDistribution('process', s.process),
+                failure: normalizeDistribution('failure', s.failure),
+                repair: normalizeDistribution('repair', s.repair)
+            };
+            Object.keys(s.productTimes || {}).forEach(key => {
+                if (s.productTimes[key] > 0) config.productTimes[key] = s.productTimes[key];
+            });
+            if (s.quality) {
+                config.quality = { reworkRate: s.quality.reworkRate, scrapRate: s.quality.scrapRate, reworkTo: s.quality.reworkTo };
+            }
+            return config;
+        })
+    };
+}
+
+// === Discrete-event simulation ===
+
+// Machine status -> accumulator it adds time to. A machine with nothing to
+// do is starved; failures are time-based and preempt the unit on the machine.
+const STATUS_TIME_KEYS = {
+    working: 'workingTime',
+    blocked: 'blockedTime',
+    starved: 'starvedTime',
+    failure: 'failureTime'
+};
+
+/**
+ * @param {Object} scenario - normalised scenario; station configs are used by
+ *   reference, so parameter edits apply from the next sampled time
+ * @param {number} [seed=scenario.seed]
+ * @param {Object} [options]
+ * @param {boolean} [options.log] - keep the full event log and KPI samples (sim.log)
+ * @param {number} [options.kpiInterval=1] - time between KPI samples
+ */
+function createSimulation(scenario, seed = scenario.seed, options = {}) {
+    const sim = {
+        scenario,
+        seed,
+        random: createRandom(seed),
+        // events: every item/machine event in order; kpis: counters, WIP and
+        // buffer levels sampled every kpiInterval
+        log: options.log ? { events: [], kpis: [], kpiInterval: options.kpiInterval || 1, nextSample: 0 } : null,
+        time: 0,
+        statsStart: 0,
+        events: [], // binary heap ordered by (time, seq)
+        eventSeq: 0,
+        nextItemId: 1,
+        totalProduced: 0,
+        totalScrapped: 0,
+        totalReworked: 0,
+        totalFailures: 0,
+        lostArrivals: 0,
+        deliveryTimes: [],
+        wip: 0,
+        wipArea: 0,
+        wipSince: 0,
+        stations: []
+    };
+
+    sim.stations = scenario.stations.map(config => ({
+        id: config.id,
+        config,
+        buffer: [],
+        machines: [],
+        status: 'starved',
+        totalProcessed: 0,
+        failureCount: 0,
+        repairTimeTotal: 0,
+        activePeriods: [], // [start, end] pairs, see updateActivePeriod
+        activeSince: null
+    }));
+    sim.stations.forEach((station, index) => {
+        station.machines = Array.from({ length: station.config.machines }, (_, mi) => createMachine(sim, station, index, mi));
+    });
+
+    scheduleEvent(sim, 0, { type: 'arrival' });
+    return sim;
+}
+
+function createMachine(sim, station, index, machineIndex) {
+    const machine = {
+        stationIndex: index,
+        index: machineIndex,
+        currentItem: null,
+        processTimeTotal: 0,
+        processTimeRemaining: 0,
+        finishAt: 0,
+        token: 0, // bumped to cancel a scheduled finish when a failure preempts it
+        status: 'starved',
+        since: 0,
+        blockedSince: 0,
+        isInFailure: false,
+        workingTime: 0,
+        blockedTime: 0,
+        starvedTime: 0,
+        failureTime: 0
+    };
+    const config = station.config;
+    scheduleEvent(sim, sampleTimeToFailure(config.mtbf, config.failure, sim.random), { type: 'failure', machine });
+    return machine;
+}
+
+function scheduleEvent(sim, time, event) {
+    event.time = time;
+    event.seq = sim.eventSeq++;
+    const heap = sim.events;
+    heap.push(event);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!eventBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+function popEvent(sim) {
+    const heap = sim.events;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && eventBefore(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && eventBefore(heap[right], heap[smallest])) smallest = right;
+            if (smallest === i) break;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// Ties keep scheduling order, which keeps a seeded run repeatable
+function eventBefore(a, b) {
+    return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+}
+
+/**
+ * Processes every event up to `until` and brings the time accumulators and
+ * progress fields up to date, so the caller can read the state at `until`.
+ */
+function advanceSimulation(sim, until) {
+    // Buffer size edits made between calls may have freed room
+    sim.stations.forEach((_, index) => unblockInto(sim, index));
+
+    while (sim.events.length && sim.events[0].time <= until) {
+        const event = popEvent(sim);
+        recordKpis(sim, event.time, false);
+        sim.time = event.time;
+        handleEvent(sim, event);
+    }
+    sim.time = Math.max(sim.time, until);
+    syncSimulation(sim);
+    recordKpis(sim, sim.time, true);
+    return sim;
+}
+
+function logEvent(sim, type, fields) {
+    if (sim.log) sim.log.events.push({ time: sim.time, type, ...fields });
+}
+
+// KPI samples due before `time` (or at it, when inclusive); the counters
+// don't change between events, so the current values are the sampled ones
+function recordKpis(sim, time, inclusive) {
+    const log = sim.log;
+    if (!log) return;
+    while (log.nextSample < time || (inclusive && log.nextSample === time)) {
+        const t = log.nextSample;
+        log.kpis.push({
+            time: t,
+            produced: sim.totalProduced,
+            scrapped: sim.totalScrapped,
+            reworked: sim.totalReworked,
+            lost: sim.lostArrivals,
+            failures: sim.totalFailures,
+            wip: sim.wip,
+            buffers: sim.stations.map(station => station.buffer.length)
+        });
+        log.nextSample = Math.round((t + log.kpiInterval) * 1e6) / 1e6;
+    }
+}
+
+function handleEvent(sim, event) {
+    const machine = event.machine;
+    switch (event.type) {
+        case 'arrival':
+            addInputItem(sim);
+            scheduleEvent(sim, sim.time + sampleInterarrival(sim.scenario.inputRate, sim.scenario.arrivalDist, sim.random), { type: 'arrival' });
+            break;
+        case 'finish':
+            if (event.token !== machine.token) return; // preempted by a failure
+            machine.processTimeRemaining = 0;
+            logEvent(sim, 'finish', {
+                station: sim.stations[machine.stationIndex].id, machine: machine.index,
+                item: machine.currentItem.id, product: machine.currentItem.product
+            });
+            completeItem(sim, machine);
+            break;
+        case 'failure':
+            startFailure(sim, machine);
+            break;
+        case 'repair':
+            endFailure(sim, machine);
+            break;
+    }
+}
+
+function setMachineStatus(sim, machine, status) {
+    if (sim.log && status !== machine.status) {
+        logEvent(sim, 'status', { station: sim.stations[machine.stationIndex].id, machine: machine.index, status });
+    }
+    machine[STATUS_TIME_KEYS[machine.status]] += sim.time - machine.since;
+    machine.since = sim.time;
+    machine.status = status;
+    updateActivePeriod(sim, sim.stations[machine.stationIndex]);
+}
+
+// Active period method: a station is active while every machine is working or
+// under repair, i.e. while it can't take more work. Waiting for material or
+// for room downstream ends the period.
+function updateActivePeriod(sim, station) {
+    const active = station.machines.every(m => m.status === 'working' || m.status === 'failure');
+    if (active && station.activeSince === null) {
+        station.activeSince = sim.time;
+    } else if (!active && station.activeSince !== null) {
+        if (sim.time > station.activeSince) station.activePeriods.push([station.activeSince, sim.time]);
+        station.activeSince = null;
+    }
+}
+
+function changeWip(sim, delta) {
+    sim.wipArea += sim.wip * (sim.time - sim.wipSince);
+    sim.wipSince = sim.time;
+    sim.wip += delta;
+}
+
+// Pick a product type by mix share
+function pickProduct(sim) {
+    const products = sim.scenario.products;
+    const total = products.reduce((sum, p) => sum + p.mix, 0);
+    let roll = sim.random() * total;
+    for (const product of products) {
+        roll -= product.mix;
+        if (roll < 0) return product.id;
+    }
+    return products[0].id;
+}
+
+// An arrival that finds the first buffer full is lost
+function addInputItem(sim) {
+    const first = sim.stations[0];
+    if (first.buffer.length < first.config.bufferSize) {
+        const item = { id: sim.nextItemId++, product: pickProduct(sim), entryTime: sim.time, reworks: 0 };
+        first.buffer.push(item);
+        logEvent(sim, 'arrival', { station: first.id, item: item.id, product: item.product });
+        changeWip(sim, 1);
+        feedStation(sim, 0);
+    } else {
+        sim.lostArrivals++;
+        logEvent(sim, 'lost', { station: first.id });
+    }
+}
+
+// Give queued units to free machines; taking units frees buffer room upstream
+function feedStation(sim, index) {
+    const station = sim.stations[index];
+    let started = false;
+    station.machines.forEach(machine => {
+        if (machine.currentItem || machine.isInFailure) return;
+        if (station.buffer.length) {
+            startItem(sim, machine, station);
+            started = true;
+        } else if (machine.status !== 'starved') {
+            setMachineStatus(sim, machine, 'starved');
+        }
+    });
+    if (started) unblockInto(sim, index);
+}
+
+function startItem(sim, machine, station) {
+    machine.currentItem = station.buffer.shift();
+    machine.processTimeTotal = sampleProcessingTime(
+        processingTimeFor(station.config, machine.currentItem.product), station.config.process, sim.random);
+    machine.processTimeRemaining = machine.processTimeTotal;
+    logEvent(sim, 'start', {
+        station: station.id, machine: machine.index, item: machine.currentItem.id,
+        product: machine.currentItem.product, value: machine.processTimeTotal
+    });
+    resumeWork(sim, machine);
+}
+
+function resumeWork(sim, machine) {
+    setMachineStatus(sim, machine, 'working');
+    machine.finishAt = sim.time + machine.processTimeRemaining;
+    scheduleEvent(sim, machine.finishAt, { type: 'finish', machine, token: machine.token });
+}
+
+// A finished unit leaves the machine, or the machine blocks until there is room
+function completeItem(sim, machine) {
+    const station = sim.stations[machine.stationIndex];
+    if (releaseItem(sim, machine.stationIndex, machine.currentItem)) {
+        machine.currentItem = null;
+        station.totalProcessed++;
+        feedStation(sim, machine.stationIndex);
+    } else {
+        setMachineStatus(sim, machine, 'blocked');
+        machine.blockedSince = sim.time;
+    }
+}
+
+// Where a finished unit goes: next station, back for rework, scrap or out.
+// The decision is drawn once and kept while the machine is blocked.
+function routeItem(sim, index) {
+    const q = sim.stations[index].config.quality;
+    if (q) {
+        const roll = sim.random() * 100;
+        if (roll < q.scrapRate) return 'scrap';
+        if (roll < q.scrapRate + q.reworkRate) {
+            const target = sim.stations.findIndex(s => s.id === q.reworkTo);
+            if (target >= 0 && target <= index) return target;
+        }
+    }
+    return index + 1 < sim.stations.length ? index + 1 : 'out';
+}
+
+function releaseItem(sim, index, item) {
+    if (item.next === undefined) item.next = routeItem(sim, index);
+
+    const station = sim.stations[index];
+    if (item.next === 'scrap') {
+        logEvent(sim, 'scrap', { station: station.id, item: item.id, product: item.product });
+        sim.totalScrapped++;
+        changeWip(sim, -1);
+        return true;
+    }
+    if (item.next === 'out') {
+        logEvent(sim, 'deliver', { station: station.id, item: item.id, product: item.product, value: sim.time - item.entryTime });
+        sim.deliveryTimes.push(sim.time - item.entryTime);
+        sim.totalProduced++;
+        changeWip(sim, -1);
+        return true;
+    }
+
+    // A unit sent back for rework always gets in, even over the buffer limit:
+    // with both ends of a full loop blocked on each other the line would stop for good
+    const targetIndex = item.next;
+    const target = sim.stations[targetIndex];
+    if (targetIndex > index && target.buffer.length >= target.config.bufferSize) return false;
+    if (targetIndex <= index) {
+        item.reworks++;
+        sim.totalReworked++;
+        logEvent(sim, 'rework', { station: target.id, item: item.id, product: item.product, value: item.reworks });
+    }
+    delete item.next;
+    target.buffer.push(item);
+    feedStation(sim, targetIndex);
+    return true;
+}
+
+// Room in a buffer goes to the machine that has been blocked on it longest
+function unblockInto(sim, index) {
+    const station = sim.stations[index];
+    while (station.buffer.length < station.config.bufferSize) {
+        let waiting = null;
+        sim.stations.forEach(s => s.machines.forEach(m => {
+            if (m.status === 'blocked' && m.currentItem.next === index &&
+                (!waiting || m.blockedSince < waiting.blockedSince)) {
+                waiting = m;
+            }
+        }));
+        if (!waiting) return;
+        completeItem(sim, waiting);
+    }
+}
+
+function startFailure(sim, machine) {
+    const station = sim.stations[machine.stationIndex];
+    const config = station.config;
+    if (machine.status === 'working') {
+        machine.processTimeRemaining = machine.finishAt - sim.time;
+        machine.token++;
+    }
+    machine.isInFailure = true;
+    setMachineStatus(sim, machine, 'failure');
+
+    const repairTime = sampleRepairTime(config.mttr, config.repair, sim.random);
+    station.failureCount++;
+    station.repairTimeTotal += repairTime;
+    sim.totalFailures++;
+    logEvent(sim, 'failure', { station: station.id, machine: machine.index, value: repairTime });
+    scheduleEvent(sim, sim.time + repairTime, { type: 'repair', machine });
+}
+
+// The interrupted unit resumes where it stopped; a finished one retries its release
+function endFailure(sim, machine) {
+    const station = sim.stations[machine.stationIndex];
+    const config = station.config;
+    machine.isInFailure = false;
+    logEvent(sim, 'repair', { station: station.id, machine: machine.index });
+    scheduleEvent(sim, sim.time + sampleTimeToFailure(config.mtbf, config.failure, sim.random), { type: 'failure', machine });
+
+    if (!machine.currentItem) feedStation(sim, machine.stationIndex);
+    else if (machine.processTimeRemaining > 0) resumeWork(sim, machine);
+    else completeItem(sim, machine);
+}
+
+function syncSimulation(sim) {
+    sim.stations.forEach(station => {
+        station.machines.forEach(machine => {
+            setMachineStatus(sim, machine, machine.status);
+            if (machine.status === 'working') machine.processTimeRemaining = machine.finishAt - sim.time;
+        });
+        station.status = stationStatus(station);
+    });
+    changeWip(sim, 0);
+}
+
+// Per-machine averages so stations with parallel machines stay comparable
+function stationTimes(station) {
+    const n = station.machines.length;
+    const sum = key => station.machines.reduce((total, m) => total + m[key], 0) / n;
+    return {
+        working: sum('workingTime'),
+        blocked: sum('blockedTime'),
+        starved: sum('starvedTime'),
+        failure: sum('failureTime')
+    };
+}
+
+// A station shows the state most of its machines are in; any failure wins
+function stationStatus(station) {
+    const counts = {};
+    station.machines.forEach(m => { counts[m.status] = (counts[m.status] || 0) + 1; });
+    if (counts.failure) return 'failure';
+    return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+}
+
+// Starts a new observation period, e.g. after a warm-up; units already in the
+// line keep their entry time, so their cycle time is counted in full
+function resetStatistics(sim) {
+    syncSimulation(sim);
+    ['totalProduced', 'totalScrapped', 'totalReworked', 'totalFailures', 'lostArrivals', 'wipArea'].forEach(key => {
+        sim[key] = 0;
+    });
+    sim.deliveryTimes = [];
+    sim.statsStart = sim.time;
+    sim.stations.forEach(station => {
+        station.totalProcessed = 0;
+        station.failureCount = 0;
+        station.repairTimeTotal = 0;
+        station.activePeriods = [];
+        if (station.activeSince !== null) station.activeSince = sim.time;
+        station.machines.forEach(machine => {
+            Object.values(STATUS_TIME_KEYS).forEach(key => { machine[key] = 0; });
+        });
+    });
+}
+
+/**
+ * KPIs over the observation period (since the start or the last resetStatistics).
+ * @returns {{ duration: number, throughput: number, wip: number, cycleTime: number,
+ *   produced: number, scrapped: number, lostArrivals: number, utilisation: number[] }}
+ */
+function simulationSummary(sim) {
+    const duration = sim.time - sim.statsStart;
+    const per = value => (duration > 0 ? value / duration : 0);
+    return {
+        duration,
+        throughput: per(sim.totalProduced),
+        wip: per(sim.wipArea),
+        cycleTime: sim.deliveryTimes.length ? sim.deliveryTimes.reduce((a, b) => a + b, 0) / sim.deliveryTimes.length : 0,
+        produced: sim.totalProduced,
+        scrapped: sim.totalScrapped,
+        lostArrivals: sim.lostArrivals,
+        utilisation: sim.stations.map(station => per(stationTimes(station).working))
+    };
+}
+
+/**
+ * Shifting bottleneck detection (active period method). At every moment the
+ * bottleneck is the station whose current active period is the longest. Where
+ * the periods of one bottleneck and the next overlap, both are "shifting"
+ * bottlenecks; the rest of the time the bottleneck is "sole".
+ * @returns {Array<{ index: number, id: number, name: string, active: number,
+ *   sole: number, shifting: number, total: number, availability: number }>}
+ *   shares of the observation period, in station order
+ */
+function analyzeBottlenecks(sim) {
+    const from = sim.statsStart;
+    const to = sim.time;
+    const duration = to - from;
+    const result = sim.stations.map((station, index) => ({
+        index,
+        id: station.id,
+        name: station.config.name,
+        active: 0,
+        sole: 0,
+        shifting: 0,
+        total: 0,
+        availability: duration > 0 ? 1 - stationTimes(station).failure / duration : 1
+    }));
+    if (duration <= 0) return result;
+
+    const periods = sim.stations.map(station => station.activeSince !== null && to > station.activeSince
+        ? station.activePeriods.concat([[station.activeSince, to]])
+        : station.activePeriods);
+
+    const bounds = new Set([from, to]);
+    periods.forEach((list, i) => list.forEach(([start, end]) => {
+        bounds.add(start);
+        bounds.add(end);
+        result[i].active += end - start;
+    }));
+    const times = Array.from(bounds).sort((a, b) => a - b);
+
+    // Sweep the elementary segments between period boundaries; consecutive
+    // segments with the same bottleneck period form one run
+    const cursor = periods.map(() => 0);
+    const runs = [];
+    for (let k = 0; k < times.length - 1; k++) {
+        const start = times[k];
+        const end = times[k + 1];
+        let best = null;
+        periods.forEach((list, i) => {
+            while (cursor[i] < list.length && list[cursor[i]][1] <= start) cursor[i]++;
+            const period = list[cursor[i]];
+            if (period && period[0] <= start && period[1] >= end &&
+                (!best || period[1] - period[0] > best.period[1] - best.period[0])) {
+                best = { index: i, period };
+            }
+        });
+        const last = runs[runs.length - 1];
+        if (!best) continue;
+        if (last && last.period === best.period && last.end === start) last.end = end;
+        else runs.push({ index: best.index, period: best.period, start, end });
+    }
+
+    runs.forEach((run, r) => {
+        let soleStart = run.start;
+        let soleEnd = run.end;
+        const previous = runs[r - 1];
+        const next = runs[r + 1];
+        if (previous && previous.end === run.start && previous.index !== run.index) {
+            const overlapEnd = Math.min(previous.period[1], run.period[1]);
+            soleStart = Math.max(soleStart, overlapEnd);
+        }
+        if (next && next.start === run.end && next.index !== run.index) {
+            const overlapStart = Math.max(run.period[0], next.period[0]);
+            const overlapEnd = Math.min(run.period[1], next.period[1]);
+            soleEnd = Math.min(soleEnd, overlapStart);
+            // The overlap makes both stations shifting bottlenecks
+            result[run.index].shifting += Math.max(0, overlapEnd - overlapStart);
+            result[next.index].shifting += Math.max(0, overlapEnd - overlapStart);
+        }
+        result[run.index].sole += Math.max(0, soleEnd - soleStart);
+    });
+
+    result.forEach(r => {
+        r.active /= duration;
+        r.sole /= duration;
+        r.shifting /= duration;
+        r.total = r.sole + r.shifting;
+    });
+    return result;
+}
+
+// === Run log export ===
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// One row per logged event; value is the processing time (start), the
+// cycle time (deliver), the repair time (failure) or the rework count (rework)
+function eventLogToCsv(sim) {
+    const names = new Map(sim.stations.map(s => [s.id, s.config.name]));
+    return toCsv(
+        ['time', 'type', 'station', 'station_name', 'machine', 'item', 'product', 'status', 'value'],
+        (sim.log ? sim.log.events : []).map(e => [
+            e.time, e.type, e.station, names.get(e.station), e.machine, e.item, e.product, e.status, e.value
+        ])
+    );
+}
+
+function kpiLogToCsv(sim) {
+    return toCsv(
+        ['time', 'produced', 'scrapped', 'reworked', 'lost', 'failures', 'wip',
+            ...sim.stations.map(s => `buffer_${s.id} (${s.config.name})`)],
+        (sim.log ? sim.log.kpis : []).map(k => [
+            k.time, k.produced, k.scrapped, k.reworked, k.lost, k.failures, k.wip, ...k.buffers
+        ])
+    );
+}
+
+/**
+ * Everything needed to look at a run later or compare it with another one.
+ * @param {Object} [options]
+ * @param {boolean} [options.events=true] - include the event log (the largest part)
+ */
+function runReport(sim, options = {}) {
+    return {
+        format: 'factory-sim-run',
+        version: 1,
+        scenario: normalizeScenario(sim.scenario),
+        seed: sim.seed,
+        time: sim.time,
+        summary: simulationSummary(sim),
+        bottlenecks: analyzeBottlenecks(sim),
+        deliveryTimes: sim.deliveryTimes.slice(),
+        kpis: sim.log ? sim.log.kpis.slice() : [],
+        events: sim.log && options.events !== false ? sim.log.events.slice() : []
+    };
+}
+
+// Checks the parts of a saved report that comparisons read
+function validateRunReport(data) {
+    if (!data || data.format !== 'factory-sim-run') return ['Dosya bir simülasyon koşusu değil (format: factory-sim-run).'];
+    const errors = [];
+    if (!data.scenario || !Array.isArray(data.scenario.stations)) errors.push('scenario.stations eksik.');
+    if (!data.summary || typeof data.summary.throughput !== 'number' || !Array.isArray(data.summary.utilisation)) {
+        errors.push('summary eksik veya hatalı.');
+    }
+    if (!Array.isArray(data.deliveryTimes)) errors.push('deliveryTimes bir dizi olmalı.');
+    if (!Array.isArray(data.kpis)) errors.push('kpis bir dizi olmalı.');
+    return errors;
+}
+
+// Two-sided 95% Student t critical values for 1..30 degrees of freedom
+const T_CRITICAL_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+/**
+ * @param {number[]} values - one value per replication
+ * @returns {{ mean: number, halfWidth: number, min: number, max: number }}
+ *   mean ± halfWidth is the 95% confidence interval (halfWidth is 0 for one value)
+ */
+function confidenceInterval(values) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    if (n < 2) return { mean, halfWidth: 0, min: mean, max: mean };
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1);
+    const t = T_CRITICAL_95[n - 2] || 1.96; // normal approximation above 30 degrees of freedom
+    return { mean, halfWidth: t * Math.sqrt(variance / n), min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Runs independent replications of a scenario. Replication r uses seed + r,
+ * so two scenarios run with the same seed see the same random streams, which
+ * keeps comparisons (e.g. of buffer sizes) tight.
+ * @param {Object} scenario - normalised scenario
+ * @param {Object} [options]
+ * @param {number} [options.replications=10]
+ * @param {number} [options.duration=28800] - observed time per replication, after warm-up
+ * @param {number} [options.warmup=0] - time discarded at the start, so the empty line doesn't bias the averages
+ * @param {number} [options.seed=scenario.seed]
+ */
+function runReplications(scenario, options = {}) {
+    const replications = options.replications || 10;
+    const duration = options.duration || 28800;
+    const warmup = options.warmup || 0;
+    const seed = options.seed !== undefined ? options.seed : scenario.seed;
+
+    const runs = [];
+    for (let r = 0; r < replications; r++) {
+        const sim = createSimulation(scenario, seed + r);
+        if (warmup > 0) {
+            advanceSimulation(sim, warmup);
+            resetStatistics(sim);
+        }
+        advanceSimulation(sim, warmup + duration);
+        runs.push(simulationSummary(sim));
+    }
+
+    const metric = key => confidenceInterval(runs.map(run => run[key]));
+    return {
+        replications,
+        duration,
+        warmup,
+        runs,
+        throughput: metric('throughput'),
+        wip: metric('wip'),
+        cycleTime: metric('cycleTime'),
+        utilisation: scenario.stations.map((config, i) => ({
+            id: config.id,
+            name: config.name,
+            ...confidenceInterval(runs.map(run => run.utilisation[i]))
+        }))
+    };
+}
+
+/**
+ * What-if advisor: re-runs the scenario with one change at a time (a bigger
+ * buffer, a shorter MTTR per station) and ranks the changes by throughput gain
+ * over the unchanged line. Gains are paired per replication, since both runs
+ * use the same seeds.
+ * @param {Object} scenario - normalised scenario; it is not modified
+ * @param {Object} [options] - replications/duration/warmup/seed as in runReplications, plus
+ * @param {number} [options.bufferStep=2] - places added to a buffer
+ * @param {number} [options.mttrFactor=0.7] - MTTR multiplier
+ * @returns {{ baseline: Object, options: Object, results: Array<{ stationId: number, stationName: string,
+ *   change: 'bufferSize'|'mttr', from: number, to: number, throughput: Object, gain: Object, gainPercent: number }>}}
+ *   results sorted by mean gain, best first
+ */
+function whatIfAdvisor(scenario, options = {}) {
+    const runOptions = {
+        replications: options.replications || 5,
+        duration: options.duration || 7200,
+        warmup: options.warmup !== undefined ? options.warmup : 600,
+        seed: options.seed
+    };
+    const bufferStep = options.bufferStep || 2;
+    const mttrFactor = options.mttrFactor || 0.7;
+    const baseline = runReplications(scenario, runOptions);
+
+    const candidates = [];
+    scenario.stations.forEach(config => {
+        const base = { stationId: config.id, stationName: config.name };
+        candidates.push({ ...base, change: 'bufferSize', from: config.bufferSize, to: config.bufferSize + bufferStep });
+        candidates.push({ ...base, change: 'mttr', from: config.mttr, to: Math.round(config.mttr * mttrFactor * 100) / 100 });
+    });
+
+    const results = candidates.map(candidate => {
+        const variant = normalizeScenario(scenario);
+        variant.stations.find(s => s.id === candidate.stationId)[candidate.change] = candidate.to;
+        const run = runReplications(variant, runOptions);
+        const gain = confidenceInterval(run.runs.map((r, k) => r.throughput - baseline.runs[k].throughput));
+        return {
+            ...candidate,
+            throughput: run.throughput,
+            gain,
+            gainPercent: baseline.throughput.mean > 0 ? gain.mean / baseline.throughput.mean * 100 : 0
+        };
+    });
+
+    return {
+        baseline: baseline.throughput,
+        options: runOptions,
+        results: results.sort((a, b) => b.gain.mean - a.gain.mean)
+    };
+}
+
+// Lets Node scripts run the model headless: require('./factory-engine.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATION_DEFAULTS, DISTRIBUTIONS, createRandom, sampleProcessingTime, sampleTimeToFailure,
+        sampleRepairTime, sampleInterarrival, processingTimeFor, meanProcessingTime, computeVisitRatios,
+        stationCapacity, stationAvailability, effectiveCapacity, calculateCycleTime, finalYield, theoreticalOutputRate, validateScenario,
+        normalizeScenario, createSimulation, advanceSimulation, resetStatistics, stationTimes,
+        stationStatus, simulationSummary, analyzeBottlenecks, confidenceInterval, runReplications, whatIfAdvisor,
+        eventLogToCsv, kpiLogToCsv, runReport, validateRunReport
+    };
+}
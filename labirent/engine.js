@@ -0,0 +1,377 @@
+/*
+ * LABİRENT BULMACA MOTORU
+ * Odalar, bulmacalar ve ipuçları rooms.json'dan okunur.
+ * Her oda sayfası <body data-room="oda_id"> ve <div id="puzzle"></div> içerir.
+ *
+ * Oda id'leri ve sayfa adları rastgeledir; rooms.json hangi odanın nereye açıldığını
+ * söylemez. Bir sonraki oda ({ room, page, title }) her doğru cevap için ayrı bir
+ * "kapı"da AES-GCM ile şifrelenir. Anahtar cevaptan türetilir:
+ *   PBKDF2-SHA256(normalizeAnswer(cevap), tuz, KDF_ITERATIONS)
+ * Kapıyı açamayan cevap yanlıştır. Yeni bir kapı için tarayıcı konsolunda:
+ *   await sealDoor("tuz", "cevap", { room: "oda_id", page: "sayfa.html", title: "Başlık" })
+ */
+
+const PROGRESS_KEY = 'labirent_progress';
+const PROGRESS_VERSION = 2;
+const TIME_FLUSH_INTERVAL = 5000;
+// Her deneme bir anahtar türetir; yüksek tekrar sayısı kısa kodları kaba kuvvetle denemeyi yavaşlatır
+const KDF_ITERATIONS = 250000;
+
+// Kilit açılana kadar oda içeriği görünmesin (deep-link ile bakılmasın)
+document.documentElement.style.visibility = 'hidden';
+
+// "ucanyildiz.me/labirent/Orient_Express.html" -> "orientexpress"
+function normalizeAnswer(value) {
+    let text = String(value).trim().split(/[\/\\]/).pop().replace(/\.html?$/i, '');
+    text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/ı/g, 'i');
+    return text.replace(/[^a-z0-9]/g, '');
+}
+
+async function deriveDoorKey(salt, answer) {
+    const encoder = new TextEncoder();
+    const secret = await crypto.subtle.importKey('raw', encoder.encode(normalizeAnswer(answer)), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: encoder.encode(salt), iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+        secret, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+// Kapı = base64(12 baytlık IV + şifreli metin)
+async function sealDoor(salt, answer, door) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await deriveDoorKey(salt, answer), new TextEncoder().encode(JSON.stringify(door)));
+    return btoa(String.fromCharCode(...iv, ...new Uint8Array(sealed)));
+}
+
+// Cevabın açtığı kapıyı döndürür, hiçbirini açamıyorsa null (GCM yanlış anahtarı reddeder)
+async function openDoor(puzzle, answer) {
+    const key = await deriveDoorKey(puzzle.salt, answer);
+    for (const door of puzzle.doors) {
+        const bytes = Uint8Array.from(atob(door), c => c.charCodeAt(0));
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+        } catch (e) {
+            continue; // Bu kapı başka bir cevaba ait
+        }
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+    return null;
+}
+
+// --- İLERLEME (localStorage) ---
+
+// unlocked: açılmış odalar, id -> { page, title } (sayfa adları sadece kapılardan öğrenilir)
+function createProgress(start) {
+    return { version: PROGRESS_VERSION, current: start.room, unlocked: { [start.room]: { page: start.page, title: start.title } }, rooms: {}, startedAt: Date.now(), finishedAt: null };
+}
+
+function loadProgress(start) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+        if (saved && saved.version === PROGRESS_VERSION && saved.unlocked && saved.unlocked[saved.current]) return saved;
+    } catch (e) {
+        console.warn('İlerleme okunamadı, baştan başlanıyor.', e);
+    }
+    return createProgress(start);
+}
+
+function saveProgress(progress) {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+}
+
+function roomRecord(progress, roomId) {
+    if (!progress.rooms[roomId]) progress.rooms[roomId] = { elapsed: 0, hintsUsed: 0, wrong: 0, solved: false };
+    return progress.rooms[roomId];
+}
+
+function markSolved(progress, data, roomId, door) {
+    const record = roomRecord(progress, roomId);
+    record.solved = true;
+    record.next = door.room;
+    progress.unlocked[door.room] = { page: door.page, title: door.title };
+    progress.current = door.room;
+    if (data.rooms[door.room].final && !progress.finishedAt) progress.finishedAt = Date.now();
+}
+
+// Süre, ipucu ve yanlış deneme başına puan kesilir
+function calculateScore(progress, scoring) {
+    const records = Object.values(progress.rooms);
+    const seconds = records.reduce((sum, r) => sum + r.elapsed, 0) / 1000;
+    const hints = records.reduce((sum, r) => sum + r.hintsUsed, 0);
+    const wrong = records.reduce((sum, r) => sum + r.wrong, 0);
+    const score = scoring.base - hints * scoring.perHint - Math.floor(seconds / 60) * scoring.perMinute - wrong * scoring.perWrongAnswer;
+    return { seconds, hints, wrong, score: Math.max(scoring.min, score) };
+}
+
+function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+    return (h > 0 ? h + ':' + String(m).padStart(2, '0') : m) + ':' + String(s).padStart(2, '0');
+}
+
+// --- ODA ---
+
+function createRoomSession(data, progress, roomId) {
+    const session = { data, progress, roomId, room: data.rooms[roomId], record: roomRecord(progress, roomId), since: Date.now(), solving: false };
+
+    // Sadece sayfa açıkken geçen süre sayılır
+    session.flushTime = () => {
+        const now = Date.now();
+        if (!document.hidden && !session.record.solved) session.record.elapsed += now - session.since;
+        session.since = now;
+        saveProgress(progress);
+    };
+    setInterval(session.flushTime, TIME_FLUSH_INTERVAL);
+    document.addEventListener('visibilitychange', session.flushTime);
+    window.addEventListener('pagehide', session.flushTime);
+    return session;
+}
+
+function roomElapsed(session) {
+    const running = document.hidden || session.record.solved ? 0 : Date.now() - session.since;
+    return (session.record.elapsed + running) / 1000;
+}
+
+async function submitAnswer(session, answer, onResult) {
+    if (session.solving) return;
+    session.solving = true;
+    const door = await openDoor(session.room.puzzle, answer);
+    session.solving = false;
+    if (!door) {
+        session.record.wrong++;
+        session.flushTime();
+        onResult(false);
+        return;
+    }
+    session.flushTime();
+    markSolved(session.progress, session.data, session.roomId, door);
+    saveProgress(session.progress);
+    onResult(true);
+    setTimeout(() => { window.location.href = door.page; }, 1500);
+}
+
+function setStatus(mount, text, color) {
+    const status = mount.querySelector('.status-text');
+    status.style.color = color;
+    status.innerText = text;
+}
+
+// --- BULMACA TÜRLERİ ---
+
+function renderPrompt(puzzle, mount) {
+    if (!puzzle.prompt) return;
+    const prompt = document.createElement('p');
+    prompt.className = 'puzzle-prompt';
+    prompt.innerText = puzzle.prompt;
+    mount.prepend(prompt);
+}
+
+function renderKeypad(session, mount) {
+    const puzzle = session.room.puzzle;
+    const digits = puzzle.digits || [1, 2, 3, 4, 5, 6, 7, 8, 9, 0];
+    let entry = [];
+
+    mount.innerHTML = `
+        <div class="puzzle-wrapper"><div class="center-lock"><i class="fas fa-lock"></i></div></div>
+        <p class="input-display"></p>
+        <p class="status-text"></p>
+        <div class="reset-btn">[Girişi Temizle]</div>`;
+    const wrapper = mount.querySelector('.puzzle-wrapper');
+    const lock = mount.querySelector('.center-lock');
+    const display = mount.querySelector('.input-display');
+
+    const updateDisplay = () => {
+        display.innerText = Array.from({ length: puzzle.length }, (_, i) => i < entry.length ? entry[i] : '_').join(' ');
+    };
+    const resetEntry = () => { entry = []; updateDisplay(); setStatus(mount, '', ''); };
+
+    // Düğmeleri çember şeklinde diz (en tepeye ilk rakam gelir)
+    const radius = 140;
+    digits.forEach((num, index) => {
+        const btn = document.createElement('div');
+        btn.className = 'stone-btn';
+        btn.innerText = num;
+        const rad = ((index * (360 / digits.length)) - 90) * (Math.PI / 180);
+        btn.style.transform = `translate(${Math.cos(rad) * radius}px, ${Math.sin(rad) * radius}px)`;
+        btn.addEventListener('click', () => {
+            if (entry.length >= puzzle.length || session.solving) return;
+            btn.classList.add('active');
+            setTimeout(() => btn.classList.remove('active'), 200);
+            entry.push(num);
+            updateDisplay();
+            if (entry.length < puzzle.length) return;
+            submitAnswer(session, entry.join(''), (correct) => {
+                if (correct) {
+                    lock.innerHTML = '<i class="fas fa-lock-open"></i>';
+                    lock.classList.add('unlocked');
+                    setStatus(mount, puzzle.success || 'KİLİT AÇILDI.', '#d4af37');
+                    return;
+                }
+                setStatus(mount, puzzle.failure || 'HATALI GİRİŞ', '#8b0000');
+                const all = wrapper.querySelectorAll('.stone-btn');
+                all.forEach(b => b.classList.add('error'));
+                setTimeout(() => { all.forEach(b => b.classList.remove('error')); resetEntry(); }, 600);
+            });
+        });
+        wrapper.appendChild(btn);
+    });
+    mount.querySelector('.reset-btn').addEventListener('click', resetEntry);
+    updateDisplay();
+}
+
+function renderTextAnswer(session, mount) {
+    const puzzle = session.room.puzzle;
+    mount.innerHTML = `
+        <form class="answer-form">
+            <input class="answer-input" type="text" autocomplete="off" spellcheck="false">
+            <button type="submit" class="answer-btn">GÖNDER</button>
+        </form>
+        <p class="status-text"></p>`;
+    const form = mount.querySelector('form');
+    const input = mount.querySelector('input');
+    renderPrompt(puzzle, mount);
+    input.placeholder = puzzle.placeholder || 'Cevap';
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!input.value.trim()) return;
+        submitAnswer(session, input.value, (correct) => {
+            if (correct) { input.disabled = true; setStatus(mount, puzzle.success || 'DOĞRU. KAPI AÇILIYOR...', '#d4af37'); return; }
+            setStatus(mount, puzzle.failure || 'YANLIŞ CEVAP', '#8b0000');
+            input.classList.add('error');
+            setTimeout(() => input.classList.remove('error'), 400);
+        });
+    });
+}
+
+function renderImageChoice(session, mount) {
+    const puzzle = session.room.puzzle;
+    mount.innerHTML = `<div class="choice-grid"></div><p class="status-text"></p>`;
+    renderPrompt(puzzle, mount);
+    const grid = mount.querySelector('.choice-grid');
+    puzzle.options.forEach((option, index) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'choice-option';
+        btn.innerHTML = `<img alt="Seçenek ${index + 1}">`;
+        btn.querySelector('img').src = option.src;
+        btn.addEventListener('click', () => {
+            submitAnswer(session, option.id, (correct) => {
+                if (correct) { btn.classList.add('correct'); setStatus(mount, puzzle.success || 'DOĞRU SEÇİM.', '#d4af37'); return; }
+                btn.classList.add('error');
+                setStatus(mount, puzzle.failure || 'YANLIŞ SEÇİM', '#8b0000');
+                setTimeout(() => btn.classList.remove('error'), 600);
+            });
+        });
+        grid.appendChild(btn);
+    });
+}
+
+const PUZZLE_RENDERERS = { keypad: renderKeypad, text: renderTextAnswer, choice: renderImageChoice };
+
+// --- İPUÇLARI ---
+
+// Her ipucu odada belirli bir süre geçtikten sonra alınabilir; alınan ipucu puan düşürür
+function renderHints(session, mount) {
+    const hints = session.room.hints || [];
+    if (!hints.length) return;
+    const panel = document.createElement('div');
+    panel.className = 'hint-panel';
+    panel.innerHTML = `<div class="hint-list"></div><button type="button" class="hint-btn"></button>`;
+    mount.after(panel);
+    const list = panel.querySelector('.hint-list');
+    const button = panel.querySelector('.hint-btn');
+
+    const update = () => {
+        list.innerHTML = '';
+        hints.slice(0, session.record.hintsUsed).forEach((hint, i) => {
+            const p = document.createElement('p');
+            p.innerText = `İpucu ${i + 1}: ${hint.text}`;
+            list.appendChild(p);
+        });
+        const next = hints[session.record.hintsUsed];
+        if (!next || session.record.solved) { button.hidden = true; return; }
+        const wait = next.after - roomElapsed(session);
+        button.disabled = wait > 0;
+        button.innerText = wait > 0
+            ? `Sonraki ipucu ${formatTime(wait)} sonra`
+            : `İpucu al (${session.record.hintsUsed + 1}/${hints.length}, -${session.data.scoring.perHint} puan)`;
+    };
+    button.addEventListener('click', () => {
+        if (button.disabled) return;
+        session.record.hintsUsed++;
+        session.flushTime();
+        update();
+    });
+    update();
+    setInterval(update, 1000);
+}
+
+// --- FİNAL ---
+
+function renderSummary(data, progress, mount) {
+    const result = calculateScore(progress, data.scoring);
+    const rows = Object.entries(progress.rooms)
+        .filter(([, r]) => r.solved)
+        .map(([id, r]) => `<tr><td>${progress.unlocked[id].title}</td><td>${formatTime(r.elapsed / 1000)}</td><td>${r.hintsUsed}</td><td>${r.wrong}</td></tr>`)
+        .join('');
+    mount.innerHTML = `
+        <div class="score-card">
+            <p class="score-label">ARŞİV PUANI</p>
+            <p class="score-value">${result.score.toLocaleString('tr-TR')}</p>
+            <p class="score-meta">Süre ${formatTime(result.seconds)} · ${result.hints} ipucu · ${result.wrong} yanlış deneme</p>
+            <table class="score-table"><thead><tr><th>Oda</th><th>Süre</th><th>İpucu</th><th>Yanlış</th></tr></thead><tbody>${rows}</tbody></table>
+            <a href="#" class="restart-link">Baştan başla</a>
+        </div>`;
+    mount.querySelector('.restart-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        if (!confirm('Tüm ilerleme silinsin mi?')) return;
+        localStorage.removeItem(PROGRESS_KEY);
+        window.location.href = data.start.page;
+    });
+}
+
+function renderSolved(session, mount) {
+    const next = session.progress.unlocked[session.record.next];
+    mount.innerHTML = `<p class="status-text" style="color:#d4af37;">✔ BU ODA ÇÖZÜLDÜ</p><a></a>`;
+    const link = mount.querySelector('a');
+    link.href = next.page;
+    link.innerText = `${next.title} →`;
+}
+
+// --- BAŞLAT ---
+
+async function startRoom() {
+    const roomId = document.body.dataset.room;
+    const mount = document.getElementById('puzzle');
+    let data;
+    try {
+        data = await (await fetch('rooms.json', { cache: 'no-cache' })).json();
+    } catch (e) {
+        document.documentElement.style.visibility = '';
+        if (mount) mount.innerHTML = '<p class="status-text" style="color:#8b0000;">Arşiv yüklenemedi. Sayfayı yenile.</p>';
+        return;
+    }
+
+    const progress = loadProgress(data.start);
+    if (!data.rooms[roomId] || !progress.unlocked[roomId]) {
+        window.location.replace(progress.unlocked[progress.current].page + '?kilitli=1');
+        return;
+    }
+    saveProgress(progress);
+    document.documentElement.style.visibility = '';
+    if (!mount) return;
+
+    if (new URLSearchParams(window.location.search).has('kilitli')) {
+        mount.insertAdjacentHTML('beforebegin', '<p class="locked-notice">Bu kapı henüz kilitli. Önce buradaki bulmacayı çöz.</p>');
+    }
+
+    // Final odasında süre tutulmaz; rapor okunurken puan düşmesin
+    if (data.rooms[roomId].final) { renderSummary(data, progress, mount); return; }
+    const session = createRoomSession(data, progress, roomId);
+    if (session.record.solved) { renderSolved(session, mount); return; }
+    PUZZLE_RENDERERS[session.room.puzzle.type](session, mount);
+    renderHints(session, mount);
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', startRoom);
+else startRoom();
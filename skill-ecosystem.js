@@ -2,19 +2,39 @@
  * Skill Ecosystem - Force-Directed Graph Visualization
  *
  * Technical Optimizations:
- * 1. Spatial Hashing: O(n) collision detection instead of O(n²)
+ * 1. Barnes-Hut quadtree: O(n log n) repulsion instead of O(n²), tunable with theta
  * 2. requestAnimationFrame: 60 FPS smooth rendering synced with browser refresh
  * 3. Canvas API: Hardware-accelerated rendering instead of DOM manipulation
- * 4. Quadtree (optional): Further optimization for large datasets
- * 5. Throttled mouse events: Reduces unnecessary calculations
+ * 4. Single-pass spring forces: O(E) instead of scanning every edge per node
+ * 5. Throttled hover detection: Reduces unnecessary calculations
  * 6. Verlet integration: Stable physics simulation with minimal computation
+ *
+ * ES module without side effects: the page creates the instance (see index.html),
+ * tests import it under Node and run it headless or against a DOM shim.
  */
 
-class SkillEcosystem {
-    constructor(canvasId, popupId) {
-        this.canvas = document.getElementById(canvasId);
-        this.popup = document.getElementById(popupId);
-        this.ctx = this.canvas.getContext('2d');
+export class SkillEcosystem {
+    /**
+     * @param {string} canvasId
+     * @param {string} popupId
+     * @param {Object} [options]
+     * @param {string|Object} [options.data] - URL of a JSON file or an inline { nodes, edges } object
+     * @param {number} [options.theta=0.5] - Barnes-Hut opening angle; lower is more accurate
+     * @param {boolean} [options.headless] - Run physics only, without canvas, events or animation
+     * @param {number} [options.width] - Simulation width in headless mode
+     * @param {number} [options.height] - Simulation height in headless mode
+     * @param {number} [options.seed] - Seed for the initial jitter; same seed, same layout
+     * @param {string|false} [options.legend] - Id of the legend/search container (created after the canvas if missing), false to disable
+     */
+    constructor(canvasId, popupId, options = {}) {
+        this.options = options;
+        this.headless = !!options.headless;
+
+        if (!this.headless) {
+            this.canvas = document.getElementById(canvasId);
+            this.popup = document.getElementById(popupId);
+            this.ctx = this.canvas.getContext('2d');
+        }
 
         // Physics parameters - tuned for smooth, natural movement
         this.friction = 0.85;           // Velocity damping (higher = less friction)
@@ -22,26 +42,78 @@ class SkillEcosystem {
         this.attractionStrength = 0.001; // How strongly connected nodes attract
         this.centerAttraction = 0.002;   // Pull towards center to prevent drift
         this.minDistance = 100;          // Minimum distance between nodes
+        this.theta = options.theta !== undefined ? options.theta : 0.5; // Barnes-Hut accuracy (0 = exact)
 
         // Rendering state
         this.nodes = [];
         this.connections = [];
         this.draggedNode = null;
         this.hoveredNode = null;
+        this.focusedNode = null;   // Node focused through the accessible list
+        this.selectedNode = null;  // Clicked node whose neighbourhood is highlighted
+        this.hiddenCategories = new Set();
+        this.searchQuery = '';
+        this.searchMatches = null; // Map of node -> matching projects while a search is active
         this.animationId = null;
+        this.nextNodeId = 0;
+
+        // Camera (zoom & pan)
+        this.minZoom = 0.2;
+        this.maxZoom = 4;
+
+        // Filtering & highlighting
+        this.fadeSpeed = 0.05;    // Visibility change per tick while a category fades in/out
+        this.dimAlpha = 0.15;     // Opacity of nodes outside the highlighted set
+        this.categoryLabels = {
+            core: 'Core Skills',
+            technical: 'Technical',
+            programming: 'Programming',
+            analytics: 'Analytics'
+        };
 
         // Performance tracking
         this.lastFrameTime = 0;
         this.fps = 60;
 
+        // Simulation clock: fixed steps, auto-sleep once the layout is at rest
+        this.timestep = 1000 / 60;     // ms of simulated time per physics tick
+        this.maxStepsPerFrame = 5;
+        this.accumulator = 0;
+        this.sleepThreshold = 0.01;    // Mean squared velocity counted as "at rest"
+        this.sleepAfterTicks = 30;     // Calm ticks in a row before the loop stops
+        this.calmTicks = 0;
+        this.sleeping = false;
+        this.paused = false;
+        this.renderFrameId = null;
+
+        // Seeded PRNG gives the same initial jitter, and so the same layout, on every load
+        this.random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+
         this.init();
     }
 
     init() {
-        this.setupCanvas();
-        this.initializeSkills();
-        this.setupEventListeners();
-        this.startAnimation();
+        if (this.headless) {
+            this.setSize(this.options.width || 800, this.options.height || 600);
+        } else {
+            this.setupCanvas();
+        }
+        this.camera = { x: this.centerX, y: this.centerY, scale: 1 };
+
+        if (!this.headless) {
+            if (this.options.legend !== false) this.setupLegend();
+            this.setupAccessibility();
+            this.setupEventListeners();
+            this.startAnimation();
+        }
+
+        // Resolves once the graph data is in place; errors are reported but the canvas keeps running
+        this.ready = (this.options.data ? this.loadData(this.options.data) : Promise.resolve(this))
+            .then(() => {
+                if (!this.headless) this.restoreSavedLayout();
+                return this;
+            });
+        this.ready.catch(error => console.error(error));
     }
 
     setupCanvas() {
@@ -49,193 +121,698 @@ class SkillEcosystem {
         const rect = this.canvas.getBoundingClientRect();
         const dpr = window.devicePixelRatio || 1;
 
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+        this.applyPixelRatio(this.canvas, this.ctx, rect.width, rect.height, dpr);
+        this.dpr = dpr;
+
+        this.setSize(rect.width, rect.height);
+    }
 
-        this.ctx.scale(dpr, dpr);
+    // Back a canvas with ratio × more pixels than its CSS size (also used for PNG export)
+    applyPixelRatio(canvas, ctx, width, height, ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
 
-        this.width = rect.width;
-        this.height = rect.height;
+        ctx.scale(ratio, ratio);
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
         this.centerX = this.width / 2;
         this.centerY = this.height / 2;
     }
 
-    initializeSkills() {
-        // Define skills with their metadata
-        const skills = [
-            {
-                name: 'Industrial Engineering',
-                category: 'core',
-                color: '#00f2ff',
-                projects: ['Supply Chain Optimization', 'Process Improvement', 'Production Planning'],
-                description: 'Endüstri mühendisliği bilgisi ve sistem optimizasyonu'
-            },
-            {
-                name: 'ERP Systems',
-                category: 'technical',
-                color: '#a855f7',
-                projects: ['IFS Implementation', 'SAP Integration', 'Business Process Automation'],
-                description: 'Kurumsal kaynak planlaması sistemleri uzmanlığı'
-            },
-            {
-                name: 'Python',
-                category: 'programming',
-                color: '#3b82f6',
-                projects: ['Data Analysis Tools', 'Automation Scripts', 'Web Scrapers'],
-                description: 'Python ile veri analizi, otomasyon ve geliştirme'
-            },
-            {
-                name: 'IFS Applications',
-                category: 'technical',
-                color: '#ec4899',
-                projects: ['Module Customization', 'Workflow Design', 'Report Development'],
-                description: 'IFS ERP modül uzmanı ve özelleştirme'
-            },
-            {
-                name: 'Data Analysis',
-                category: 'analytics',
-                color: '#10b981',
-                projects: ['KPI Dashboards', 'Statistical Analysis', 'Predictive Models'],
-                description: 'Veri analizi ve görselleştirme uzmanlığı'
-            },
-            {
-                name: 'JavaScript',
-                category: 'programming',
-                color: '#f59e0b',
-                projects: ['Interactive Visualizations', 'Web Applications', 'This Portfolio!'],
-                description: 'Modern web geliştirme ve interaktif arayüzler'
-            },
-            {
-                name: 'Process Optimization',
-                category: 'core',
-                color: '#8b5cf6',
-                projects: ['Lean Manufacturing', 'Six Sigma Projects', 'Workflow Analysis'],
-                description: 'İş süreçlerini optimize etme ve verimlilik artırma'
-            },
-            {
-                name: 'SQL & Databases',
-                category: 'technical',
-                color: '#06b6d4',
-                projects: ['Query Optimization', 'Database Design', 'ETL Pipelines'],
-                description: 'Veritabanı yönetimi ve sorgu optimizasyonu'
+    // Load graph data from a URL (fetched as JSON) or an inline { nodes, edges } object
+    loadData(source) {
+        if (typeof source === 'string') {
+            return fetch(source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`SkillEcosystem: could not load "${source}" (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setData(data));
+        }
+
+        try {
+            return Promise.resolve(this.setData(source));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // Check the { nodes, edges } schema and return normalized copies.
+    // Every problem is collected so a broken data file can be fixed in one pass.
+    validateData(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('SkillEcosystem: data must be an object with "nodes" and "edges" arrays');
+        }
+        if (!Array.isArray(data.nodes)) {
+            errors.push('"nodes" must be an array');
+        }
+        if (data.edges !== undefined && !Array.isArray(data.edges)) {
+            errors.push('"edges" must be an array');
+        }
+
+        const nodes = [];
+        const names = new Set();
+        (Array.isArray(data.nodes) ? data.nodes : []).forEach((skill, index) => {
+            const nodeErrors = this.validateNode(skill, `nodes[${index}]`);
+            if (!nodeErrors.length && names.has(skill.name)) {
+                nodeErrors.push(`nodes[${index}].name "${skill.name}" is used by more than one node`);
             }
-        ];
+            if (nodeErrors.length) {
+                errors.push(...nodeErrors);
+                return;
+            }
+            names.add(skill.name);
+            nodes.push(this.normalizeNode(skill));
+        });
 
-        // Define connections between related skills
-        const connectionMap = [
-            ['Industrial Engineering', 'Process Optimization'],
-            ['Industrial Engineering', 'ERP Systems'],
-            ['ERP Systems', 'IFS Applications'],
-            ['Python', 'Data Analysis'],
-            ['Python', 'SQL & Databases'],
-            ['JavaScript', 'Data Analysis'],
-            ['IFS Applications', 'SQL & Databases'],
-            ['Data Analysis', 'Process Optimization'],
-            ['ERP Systems', 'SQL & Databases']
-        ];
+        const edges = [];
+        (Array.isArray(data.edges) ? data.edges : []).forEach((edge, index) => {
+            const edgeErrors = this.validateEdge(edge, `edges[${index}]`, names);
+            if (edgeErrors.length) {
+                errors.push(...edgeErrors);
+                return;
+            }
+            edges.push({ from: edge.from, to: edge.to, weight: edge.weight === undefined ? 1 : edge.weight });
+        });
+
+        if (errors.length) {
+            const error = new Error('SkillEcosystem: invalid graph data\n  - ' + errors.join('\n  - '));
+            error.details = errors;
+            throw error;
+        }
+
+        return { nodes, edges };
+    }
+
+    validateNode(skill, path) {
+        const errors = [];
+
+        if (!skill || typeof skill !== 'object') {
+            return [`${path} must be an object`];
+        }
+        if (typeof skill.name !== 'string' || !skill.name.trim()) {
+            errors.push(`${path}.name must be a non-empty string`);
+        }
+        if (typeof skill.category !== 'string' || !skill.category.trim()) {
+            errors.push(`${path}.category must be a non-empty string`);
+        }
+        // Colors get a two-digit alpha suffix appended in render(), so only #rrggbb works
+        if (typeof skill.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(skill.color)) {
+            errors.push(`${path}.color must be a hex color like "#00f2ff"`);
+        }
+        if (skill.projects !== undefined &&
+            (!Array.isArray(skill.projects) || skill.projects.some(p => typeof p !== 'string'))) {
+            errors.push(`${path}.projects must be an array of strings`);
+        }
+        if (skill.description !== undefined && typeof skill.description !== 'string') {
+            errors.push(`${path}.description must be a string`);
+        }
+
+        return errors;
+    }
+
+    validateEdge(edge, path, names) {
+        const errors = [];
 
-        // Create nodes with random initial positions (will settle via physics)
-        this.nodes = skills.map((skill, index) => {
-            // Distribute nodes in a circle initially for better spreading
-            const angle = (index / skills.length) * Math.PI * 2;
+        if (!edge || typeof edge !== 'object') {
+            return [`${path} must be an object with "from" and "to"`];
+        }
+        ['from', 'to'].forEach(end => {
+            if (typeof edge[end] !== 'string') {
+                errors.push(`${path}.${end} must be a node name`);
+            } else if (!names.has(edge[end])) {
+                errors.push(`${path}.${end} references unknown node "${edge[end]}"`);
+            }
+        });
+        if (!errors.length && edge.from === edge.to) {
+            errors.push(`${path} connects "${edge.from}" to itself`);
+        }
+        if (edge.weight !== undefined &&
+            (typeof edge.weight !== 'number' || !isFinite(edge.weight) || edge.weight <= 0)) {
+            errors.push(`${path}.weight must be a positive number`);
+        }
+
+        return errors;
+    }
+
+    normalizeNode(skill) {
+        return {
+            name: skill.name,
+            category: skill.category,
+            color: skill.color,
+            projects: skill.projects ? skill.projects.slice() : [],
+            description: skill.description || ''
+        };
+    }
+
+    // Replace the whole graph
+    setData(data) {
+        const { nodes, edges } = this.validateData(data);
+
+        this.draggedNode = null;
+        this.hoveredNode = null;
+        this.hidePopup();
+
+        // Distribute nodes in a circle initially for better spreading (will settle via physics)
+        this.nodes = nodes.map((skill, index) => {
+            const angle = (index / nodes.length) * Math.PI * 2;
             const radius = Math.min(this.width, this.height) * 0.25;
+            return this.createNode(skill,
+                this.centerX + Math.cos(angle) * radius,
+                this.centerY + Math.sin(angle) * radius);
+        });
 
-            return {
-                id: index,
-                x: this.centerX + Math.cos(angle) * radius + (Math.random() - 0.5) * 50,
-                y: this.centerY + Math.sin(angle) * radius + (Math.random() - 0.5) * 50,
-                vx: 0, // velocity x
-                vy: 0, // velocity y
-                radius: 30,
-                ...skill
-            };
+        this.connections = edges.map(edge => ({
+            from: this.getNode(edge.from),
+            to: this.getNode(edge.to),
+            weight: edge.weight
+        }));
+
+        this.focusedNode = null;
+        this.selectedNode = null;
+        this.graphChanged();
+        return this;
+    }
+
+    createNode(skill, x, y) {
+        return {
+            id: this.nextNodeId++,
+            x: x + (this.random() - 0.5) * 50,
+            y: y + (this.random() - 0.5) * 50,
+            vx: 0, // velocity x
+            vy: 0, // velocity y
+            radius: 30,
+            visibility: this.hiddenCategories.has(skill.category) ? 0 : 1, // 0 = filtered out of the physics
+            pinned: false, // Pinned nodes still push others but never move by themselves
+            ...skill
+        };
+    }
+
+    getNode(name) {
+        return this.nodes.find(n => n.name === name) || null;
+    }
+
+    addNode(skill) {
+        const errors = this.validateNode(skill, 'node');
+        if (!errors.length && this.getNode(skill.name)) {
+            errors.push(`node.name "${skill.name}" already exists`);
+        }
+        if (errors.length) {
+            throw new Error('SkillEcosystem: cannot add node - ' + errors.join('; '));
+        }
+
+        const node = this.createNode(this.normalizeNode(skill), this.centerX, this.centerY);
+        this.nodes.push(node);
+        this.graphChanged();
+        return node;
+    }
+
+    removeNode(name) {
+        const node = this.getNode(name);
+        if (!node) return false;
+
+        this.nodes = this.nodes.filter(n => n !== node);
+        this.connections = this.connections.filter(conn => conn.from !== node && conn.to !== node);
+
+        if (this.draggedNode === node) this.draggedNode = null;
+        if (this.focusedNode === node) this.focusedNode = null;
+        if (this.selectedNode === node) this.selectedNode = null;
+        if (this.hoveredNode === node) {
+            this.hoveredNode = null;
+            this.hidePopup();
+        }
+        this.graphChanged();
+        return true;
+    }
+
+    addEdge(from, to, weight) {
+        const names = new Set(this.nodes.map(n => n.name));
+        const errors = this.validateEdge({ from, to, weight }, 'edge', names);
+        if (errors.length) {
+            throw new Error('SkillEcosystem: cannot add edge - ' + errors.join('; '));
+        }
+
+        const connection = {
+            from: this.getNode(from),
+            to: this.getNode(to),
+            weight: weight === undefined ? 1 : weight
+        };
+        this.connections.push(connection);
+        this.graphChanged();
+        return connection;
+    }
+
+    // Keep the accessible list in sync and, without animation, show the new layout at once
+    graphChanged() {
+        if (this.headless) return;
+
+        if (this.searchQuery) this.search(this.searchQuery);
+        if (this.legendCategories) this.buildLegend();
+        this.buildAccessibleList();
+        this.wake();
+    }
+
+    // --- Filtering, search & highlighting ---
+
+    getCategories() {
+        const categories = [];
+        this.nodes.forEach(node => {
+            if (!categories.includes(node.category)) categories.push(node.category);
+        });
+        return categories;
+    }
+
+    isCategoryVisible(category) {
+        return !this.hiddenCategories.has(category);
+    }
+
+    // Hidden nodes fade out of the physics over a few frames instead of vanishing
+    setCategoryVisible(category, visible) {
+        if (visible) {
+            this.hiddenCategories.delete(category);
+        } else {
+            this.hiddenCategories.add(category);
+        }
+
+        const hidden = (node) => node && this.hiddenCategories.has(node.category);
+        if (hidden(this.selectedNode)) this.selectedNode = null;
+        if (hidden(this.draggedNode)) this.draggedNode = null;
+        if (hidden(this.hoveredNode)) {
+            this.hoveredNode = null;
+            this.hidePopup();
+        }
+
+        if (this.reducedMotion) {
+            // No fade without animation: jump straight to the target visibility
+            this.nodes.forEach(node => {
+                if (node.category === category) node.visibility = visible ? 1 : 0;
+            });
+        }
+        this.graphChanged();
+    }
+
+    toggleCategory(category) {
+        this.setCategoryVisible(category, !this.isCategoryVisible(category));
+    }
+
+    // Fuzzy search over skill names and projects; returns [{ node, projects }] best first
+    search(query) {
+        this.searchQuery = (query || '').trim();
+
+        if (!this.searchQuery) {
+            this.searchMatches = null;
+            this.updateSearchSummary([]);
+            this.requestRender();
+            return [];
+        }
+
+        const results = [];
+        this.nodes.forEach(node => {
+            if (this.hiddenCategories.has(node.category)) return;
+
+            const nameScore = fuzzyScore(this.searchQuery, node.name);
+            const projects = node.projects.filter(p => fuzzyScore(this.searchQuery, p) > 0);
+            const projectScore = Math.max(0, ...projects.map(p => fuzzyScore(this.searchQuery, p)));
+
+            if (nameScore > 0 || projects.length) {
+                results.push({ node, projects, score: Math.max(nameScore, projectScore) });
+            }
         });
+        results.sort((a, b) => b.score - a.score);
+
+        this.searchMatches = new Map(results.map(r => [r.node, r.projects]));
+        this.updateSearchSummary(results);
+        this.requestRender();
+        return results.map(({ node, projects }) => ({ node, projects }));
+    }
 
-        // Create connections
-        this.connections = connectionMap.map(([from, to]) => {
-            const fromNode = this.nodes.find(n => n.name === from);
-            const toNode = this.nodes.find(n => n.name === to);
-            return { from: fromNode, to: toNode };
+    // Accepts a node, a node name or null (clears the highlight)
+    selectNode(node) {
+        if (typeof node === 'string') node = this.getNode(node);
+        this.selectedNode = node || null;
+        this.requestRender();
+    }
+
+    // Set of nodes drawn at full opacity, or null when nothing is highlighted
+    getHighlightedNodes() {
+        if (this.selectedNode) {
+            return new Set([this.selectedNode, ...this.getNeighbours(this.selectedNode)]);
+        }
+        if (this.searchMatches) {
+            return new Set(this.searchMatches.keys());
+        }
+        return null;
+    }
+
+    // Built-in legend: one toggle per category plus the search box
+    setupLegend() {
+        let container = typeof this.options.legend === 'string'
+            ? document.getElementById(this.options.legend)
+            : null;
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'mt-4 flex flex-wrap gap-3 items-center justify-center text-xs text-gray-400';
+            this.canvas.insertAdjacentElement('afterend', container);
+        }
+
+        this.legendCategories = document.createElement('div');
+        this.legendCategories.className = 'flex flex-wrap gap-2 items-center';
+        this.legendCategories.setAttribute('role', 'group');
+        this.legendCategories.setAttribute('aria-label', 'Kategori filtresi');
+        this.legendCategories.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-category]');
+            if (button) this.toggleCategory(button.dataset.category);
+        });
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Yetenek veya proje ara...';
+        searchInput.setAttribute('aria-label', 'Yetenek veya proje ara');
+        searchInput.className = 'bg-darkbg/80 border border-techblue/30 rounded-full px-3 py-1 text-gray-200 focus:outline-none focus:border-techblue';
+        searchInput.addEventListener('input', () => this.search(searchInput.value));
+
+        this.searchSummary = document.createElement('span');
+        this.searchSummary.setAttribute('aria-live', 'polite');
+
+        container.appendChild(this.legendCategories);
+        container.appendChild(searchInput);
+        container.appendChild(this.searchSummary);
+    }
+
+    buildLegend() {
+        this.legendCategories.innerHTML = '';
+
+        this.getCategories().forEach(category => {
+            const visible = this.isCategoryVisible(category);
+            const color = this.nodes.find(n => n.category === category).color;
+            const button = document.createElement('button');
+
+            button.type = 'button';
+            button.dataset.category = category;
+            button.setAttribute('aria-pressed', String(visible));
+            button.className = 'flex items-center gap-2 px-2 py-1 rounded-full border border-white/10 transition'
+                + (visible ? '' : ' opacity-40 line-through');
+
+            // Category names and colours come from the data, so they go in as text/style, never markup
+            const swatch = document.createElement('span');
+            swatch.className = 'w-3 h-3 rounded-full';
+            swatch.style.background = color;
+            const label = document.createElement('span');
+            label.textContent = this.categoryLabels[category] || category;
+
+            button.appendChild(swatch);
+            button.appendChild(label);
+            this.legendCategories.appendChild(button);
         });
     }
 
+    updateSearchSummary(results) {
+        if (!this.searchSummary) return;
+
+        if (!this.searchQuery) {
+            this.searchSummary.textContent = '';
+        } else if (!results.length) {
+            this.searchSummary.textContent = 'Eşleşme yok';
+        } else {
+            const projectCount = results.reduce((sum, r) => sum + r.projects.length, 0);
+            this.searchSummary.textContent = `${results.length} yetenek, ${projectCount} proje`;
+        }
+    }
+
     setupEventListeners() {
-        let mouseX = 0, mouseY = 0;
+        const canvas = this.canvas;
+        const pointers = new Map(); // pointerId -> last canvas position, for pan and pinch
+        let panning = false;
+        let pinchDistance = 0;
+        let downX = 0, downY = 0, moved = false;
+
+        // Let pointer events handle touch gestures instead of the browser scrolling/zooming
+        canvas.style.touchAction = 'none';
+
+        const toCanvas = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        const pinchState = () => {
+            const [a, b] = Array.from(pointers.values());
+            return {
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                midX: (a.x + b.x) / 2,
+                midY: (a.y + b.y) / 2
+            };
+        };
 
-        // Mouse move handler (throttled for performance)
-        let mouseMoveTimeout;
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            mouseX = e.clientX - rect.left;
-            mouseY = e.clientY - rect.top;
+        // Pointer down - start dragging a node, panning, or pinching
+        canvas.addEventListener('pointerdown', (e) => {
+            const pos = toCanvas(e);
+            pointers.set(e.pointerId, pos);
+            canvas.setPointerCapture(e.pointerId);
 
+            if (pointers.size === 2) {
+                // Second finger turns any drag/pan into a pinch
+                this.draggedNode = null;
+                panning = false;
+                pinchDistance = pinchState().distance;
+                this.hidePopup();
+                return;
+            }
+
+            downX = pos.x;
+            downY = pos.y;
+            moved = false;
+
+            this.draggedNode = this.getNodeAtPosition(pos.x, pos.y);
             if (this.draggedNode) {
-                this.draggedNode.x = mouseX;
-                this.draggedNode.y = mouseY;
-                this.draggedNode.vx = 0;
-                this.draggedNode.vy = 0;
+                canvas.style.cursor = 'grabbing';
+                this.wake();
             } else {
-                // Throttle hover detection
-                clearTimeout(mouseMoveTimeout);
-                mouseMoveTimeout = setTimeout(() => {
-                    this.handleHover(mouseX, mouseY);
-                }, 16); // ~60fps
+                panning = true;
+                canvas.style.cursor = 'move';
             }
         });
 
-        // Mouse down - start dragging
-        this.canvas.addEventListener('mousedown', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            mouseX = e.clientX - rect.left;
-            mouseY = e.clientY - rect.top;
+        // Pointer move handler (hover detection throttled for performance)
+        let hoverTimeout;
+        canvas.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) {
+                // Hovering without a pressed button (mouse and pen only)
+                const pos = toCanvas(e);
+                clearTimeout(hoverTimeout);
+                hoverTimeout = setTimeout(() => {
+                    this.handleHover(pos.x, pos.y);
+                }, 16); // ~60fps
+                return;
+            }
 
-            this.draggedNode = this.getNodeAtPosition(mouseX, mouseY);
-            if (this.draggedNode) {
-                this.canvas.style.cursor = 'grabbing';
+            const prev = pointers.get(e.pointerId);
+            const pos = toCanvas(e);
+            pointers.set(e.pointerId, pos);
+            if (Math.hypot(pos.x - downX, pos.y - downY) > 4) moved = true;
+
+            if (pointers.size === 2) {
+                // Pan by the midpoint shift, zoom by the change in finger distance
+                const other = Array.from(pointers.values()).find(p => p !== pos);
+                const prevMidX = (other.x + prev.x) / 2;
+                const prevMidY = (other.y + prev.y) / 2;
+                const now = pinchState();
+
+                this.panBy(now.midX - prevMidX, now.midY - prevMidY);
+                if (pinchDistance > 0) {
+                    this.zoomAt(now.midX, now.midY, now.distance / pinchDistance);
+                }
+                pinchDistance = now.distance;
+            } else if (this.draggedNode) {
+                const world = this.screenToWorld(pos.x, pos.y);
+                this.draggedNode.x = world.x;
+                this.draggedNode.y = world.y;
+                this.draggedNode.vx = 0;
+                this.draggedNode.vy = 0;
+                this.wake();
+            } else if (panning) {
+                this.panBy(pos.x - prev.x, pos.y - prev.y);
+                this.hidePopup();
             }
+            this.requestRender();
         });
 
-        // Mouse up - stop dragging
-        this.canvas.addEventListener('mouseup', () => {
-            if (this.draggedNode) {
-                this.draggedNode = null;
-                this.canvas.style.cursor = 'grab';
+        // Pointer up - stop dragging/panning; a tap on a node shows its popup on touch screens
+        const release = (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.delete(e.pointerId);
+
+            if (e.type === 'pointerup' && !moved && pointers.size === 0) {
+                const pos = toCanvas(e);
+
+                // Click a node to highlight its neighbourhood, click empty space to clear it
+                this.selectNode(this.getNodeAtPosition(pos.x, pos.y));
+
+                // A tap shows the popup on touch screens, where there is no hover
+                if (e.pointerType === 'touch') {
+                    this.hoveredNode = null;
+                    this.handleHover(pos.x, pos.y);
+                }
+            }
+
+            if (pointers.size === 1) {
+                // Lifting one finger of a pinch continues as a pan with the remaining one
+                panning = true;
+                moved = true;
+                return;
+            }
+
+            // A dropped node stays where it was put (double-click it to release)
+            const dropped = this.draggedNode;
+            if (dropped && moved) {
+                dropped.pinned = true;
             }
-        });
 
-        // Mouse leave - cleanup
-        this.canvas.addEventListener('mouseleave', () => {
             this.draggedNode = null;
+            panning = false;
+            canvas.style.cursor = this.hoveredNode ? 'grab' : 'default';
+            if (dropped) this.wake();
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+
+        // Pointer leave - cleanup (captured pointers keep their gesture until released)
+        canvas.addEventListener('pointerleave', (e) => {
+            if (pointers.has(e.pointerId)) return;
             this.hoveredNode = null;
             this.hidePopup();
-            this.canvas.style.cursor = 'default';
+            canvas.style.cursor = 'default';
         });
 
+        // Double-click a pinned node to let the physics move it again,
+        // or empty space to bring every node back into view
+        canvas.addEventListener('dblclick', (e) => {
+            const pos = toCanvas(e);
+            const node = this.getNodeAtPosition(pos.x, pos.y);
+            if (node) {
+                this.unpinNode(node);
+            } else {
+                this.fitToView();
+            }
+        });
+
+        // Wheel zoom around the cursor
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const pos = toCanvas(e);
+            this.zoomAt(pos.x, pos.y, Math.exp(-e.deltaY * 0.0015));
+            this.hidePopup();
+            this.requestRender();
+        }, { passive: false });
+
         // Handle window resize
         let resizeTimeout;
         window.addEventListener('resize', () => {
             clearTimeout(resizeTimeout);
             resizeTimeout = setTimeout(() => {
+                const oldCenterX = this.centerX;
+                const oldCenterY = this.centerY;
                 this.setupCanvas();
-                // Reposition nodes proportionally
-                const scaleX = this.width / (this.canvas.width / (window.devicePixelRatio || 1));
-                const scaleY = this.height / (this.canvas.height / (window.devicePixelRatio || 1));
+
+                // Keep the layout and the camera centered on the resized canvas
+                const dx = this.centerX - oldCenterX;
+                const dy = this.centerY - oldCenterY;
                 this.nodes.forEach(node => {
-                    node.x = this.centerX + (node.x - this.centerX);
-                    node.y = this.centerY + (node.y - this.centerY);
+                    node.x += dx;
+                    node.y += dy;
                 });
+                this.camera.x += dx;
+                this.camera.y += dy;
+                this.hidePopup();
+                this.requestRender();
+                this.wake();
             }, 250);
         });
+
+        // Stop simulating in background tabs; resume with a fresh clock when visible again
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.stopLoop();
+            } else {
+                this.runLoop();
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    // Camera: (camera.x, camera.y) is the world point shown at the middle of the canvas
+    screenToWorld(x, y) {
+        const cam = this.camera;
+        return {
+            x: (x - this.width / 2) / cam.scale + cam.x,
+            y: (y - this.height / 2) / cam.scale + cam.y
+        };
+    }
+
+    worldToScreen(x, y) {
+        const cam = this.camera;
+        return {
+            x: (x - cam.x) * cam.scale + this.width / 2,
+            y: (y - cam.y) * cam.scale + this.height / 2
+        };
+    }
+
+    panBy(dx, dy) {
+        this.camera.x -= dx / this.camera.scale;
+        this.camera.y -= dy / this.camera.scale;
+    }
+
+    // Zoom by a factor while keeping the world point under (x, y) in place
+    zoomAt(x, y, factor) {
+        const cam = this.camera;
+        const before = this.screenToWorld(x, y);
+        cam.scale = Math.min(this.maxZoom, Math.max(this.minZoom, cam.scale * factor));
+        cam.x = before.x - (x - this.width / 2) / cam.scale;
+        cam.y = before.y - (y - this.height / 2) / cam.scale;
+    }
+
+    // Center the camera on all nodes and zoom so they fit with some padding
+    fitToView(padding = 40) {
+        if (!this.nodes.length) return;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.nodes.forEach(node => {
+            minX = Math.min(minX, node.x - node.radius);
+            minY = Math.min(minY, node.y - node.radius);
+            maxX = Math.max(maxX, node.x + node.radius);
+            maxY = Math.max(maxY, node.y + node.radius);
+        });
+
+        const scale = Math.min(
+            (this.width - padding * 2) / Math.max(maxX - minX, 1),
+            (this.height - padding * 2) / Math.max(maxY - minY, 1)
+        );
+        this.camera.scale = Math.min(this.maxZoom, Math.max(this.minZoom, scale));
+        this.camera.x = (minX + maxX) / 2;
+        this.camera.y = (minY + maxY) / 2;
+        this.hidePopup();
+        this.requestRender();
     }
 
+    // x, y are canvas (screen) coordinates
     getNodeAtPosition(x, y) {
+        const world = this.screenToWorld(x, y);
+
         // Find node under cursor (reverse order for top-most)
         for (let i = this.nodes.length - 1; i >= 0; i--) {
             const node = this.nodes[i];
-            const dx = x - node.x;
-            const dy = y - node.y;
+            if (node.visibility < 0.5) continue; // Filtered out (or fading out)
+
+            const dx = world.x - node.x;
+            const dy = world.y - node.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
 
             if (distance < node.radius) {
@@ -252,43 +829,62 @@ class SkillEcosystem {
             this.hoveredNode = node;
 
             if (node) {
-                this.showPopup(node, x, y);
+                this.showPopup(node);
                 this.canvas.style.cursor = 'grab';
             } else {
                 this.hidePopup();
                 this.canvas.style.cursor = 'default';
             }
+            this.requestRender();
         }
     }
 
-    showPopup(node, x, y) {
+    showPopup(node) {
         const popup = this.popup;
+        const matched = (this.searchMatches && this.searchMatches.get(node)) || [];
+        const element = (tag, className, text) => {
+            const el = document.createElement(tag);
+            el.className = className;
+            if (text !== undefined) el.textContent = text;
+            return el;
+        };
+
+        // Populate popup content from elements: names, descriptions and projects come
+        // from skills.json and must never be parsed as HTML
+        const title = element('div', 'font-bold text-lg mb-2', node.name);
+        title.style.color = node.color;
+        const projects = element('ul', 'text-xs text-gray-300 space-y-1');
+        node.projects.forEach(p => {
+            const isMatch = matched.includes(p);
+            const item = element('li', isMatch ? 'flex items-start text-white font-semibold' : 'flex items-start');
+            item.appendChild(element('span', 'text-techblue mr-2', isMatch ? '★' : '▸'));
+            item.appendChild(element('span', '', p));
+            projects.appendChild(item);
+        });
+
+        popup.innerHTML = '';
+        popup.appendChild(title);
+        popup.appendChild(element('div', 'text-gray-400 text-sm mb-3', node.description));
+        popup.appendChild(element('div', 'text-xs font-semibold text-techblue mb-1', 'İlgili Projeler:'));
+        popup.appendChild(projects);
 
-        // Populate popup content
-        popup.innerHTML = `
-            <div class="font-bold text-lg mb-2" style="color: ${node.color}">${node.name}</div>
-            <div class="text-gray-400 text-sm mb-3">${node.description}</div>
-            <div class="text-xs font-semibold text-techblue mb-1">İlgili Projeler:</div>
-            <ul class="text-xs text-gray-300 space-y-1">
-                ${node.projects.map(p => `<li class="flex items-start"><span class="text-techblue mr-2">▸</span>${p}</li>`).join('')}
-            </ul>
-        `;
-
-        // Position popup (avoid edges)
+        // Anchor next to the node as it appears through the camera
         const rect = this.canvas.getBoundingClientRect();
         const popupRect = popup.getBoundingClientRect();
+        const pos = this.worldToScreen(node.x, node.y);
+        const reach = node.radius * this.camera.scale;
 
-        let left = rect.left + x + 20;
-        let top = rect.top + y - 20;
+        let left = rect.left + pos.x + reach + 10;
+        let top = rect.top + pos.y - 20;
 
         // Adjust if too close to right edge
         if (left + popupRect.width > window.innerWidth - 20) {
-            left = rect.left + x - popupRect.width - 20;
+            left = rect.left + pos.x - reach - popupRect.width - 10;
         }
 
         // Adjust if too close to bottom edge
         if (top + popupRect.height > window.innerHeight - 20) {
-            top = rect.top + y - popupRect.height + 20;
+            top = rect.top + pos.y - popupRect.height + 20;
         }
 
         popup.style.left = left + 'px';
@@ -298,63 +894,218 @@ class SkillEcosystem {
     }
 
     hidePopup() {
+        if (!this.popup) return;
         this.popup.classList.add('hidden');
         this.popup.classList.remove('opacity-100');
     }
 
-    // Physics simulation using Verlet integration
-    updatePhysics() {
-        const nodes = this.nodes;
+    // Accessible mirror of the canvas: a focusable list of skills, read by screen readers
+    setupAccessibility() {
+        this.canvas.setAttribute('aria-hidden', 'true');
+
+        // The popup doubles as a live region so opening it with Enter is announced
+        this.popup.setAttribute('role', 'status');
+        this.popup.setAttribute('aria-live', 'polite');
+
+        const list = document.createElement('ul');
+        list.setAttribute('aria-label', 'Yetenek haritası. Ok tuşları bağlı yeteneklere geçer, Enter detayları açar.');
+        // Visually hidden, but still in the tab order and the accessibility tree
+        Object.assign(list.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap'
+        });
+        this.canvas.insertAdjacentElement('afterend', list);
+        this.a11yList = list;
 
-        // Apply forces to each node
-        for (let i = 0; i < nodes.length; i++) {
-            const nodeA = nodes[i];
+        list.addEventListener('focusin', (e) => {
+            const node = this.nodeForElement(e.target);
+            if (node && node !== this.focusedNode) {
+                this.focusedNode = node;
+                this.hidePopup();
+                this.requestRender();
+            }
+        });
 
-            // Skip if being dragged
-            if (nodeA === this.draggedNode) continue;
+        list.addEventListener('focusout', (e) => {
+            if (!list.contains(e.relatedTarget)) {
+                this.focusedNode = null;
+                this.hidePopup();
+                this.requestRender();
+            }
+        });
 
-            let fx = 0, fy = 0;
+        // Enter/Space on a button
+        list.addEventListener('click', (e) => {
+            const node = this.nodeForElement(e.target);
+            if (node) this.showPopup(node);
+        });
 
-            // 1. Repulsion from all other nodes (optimized - only check within range)
-            for (let j = 0; j < nodes.length; j++) {
-                if (i === j) continue;
+        list.addEventListener('keydown', (e) => {
+            const directions = {
+                ArrowRight: { x: 1, y: 0 },
+                ArrowLeft: { x: -1, y: 0 },
+                ArrowDown: { x: 0, y: 1 },
+                ArrowUp: { x: 0, y: -1 }
+            };
 
-                const nodeB = nodes[j];
-                const dx = nodeA.x - nodeB.x;
-                const dy = nodeA.y - nodeB.y;
-                const distSq = dx * dx + dy * dy;
-                const dist = Math.sqrt(distSq);
+            if (e.key === 'Escape') {
+                this.hidePopup();
+            } else if (directions[e.key] && this.focusedNode) {
+                e.preventDefault();
+                const next = this.neighbourInDirection(this.focusedNode, directions[e.key]);
+                if (next) this.focusNode(next);
+            }
+        });
+    }
 
-                if (dist < this.minDistance * 3) { // Only repel if close
-                    const force = this.repulsionStrength / (distSq + 1); // +1 prevents division by zero
-                    fx += (dx / dist) * force;
-                    fy += (dy / dist) * force;
+    buildAccessibleList() {
+        const list = this.a11yList;
+        list.innerHTML = '';
+
+        this.nodes.forEach(node => {
+            const neighbours = this.getNeighbours(node).map(n => n.name);
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+
+            item.hidden = this.hiddenCategories.has(node.category);
+            button.type = 'button';
+            button.dataset.nodeId = node.id;
+            button.textContent = `${node.name} (${node.category}). ` + (neighbours.length
+                ? `Bağlantılar: ${neighbours.join(', ')}`
+                : 'Bağlantı yok');
+
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        // Keep keyboard focus if the focused node survived the rebuild
+        if (this.focusedNode) this.focusNode(this.focusedNode);
+    }
+
+    nodeForElement(element) {
+        const id = element && element.dataset ? Number(element.dataset.nodeId) : NaN;
+        return this.nodes.find(n => n.id === id) || null;
+    }
+
+    focusNode(node) {
+        const button = this.a11yList.querySelector(`[data-node-id="${node.id}"]`);
+        if (button) button.focus();
+    }
+
+    getNeighbours(node) {
+        const neighbours = [];
+        this.connections.forEach(conn => {
+            if (conn.from === node) neighbours.push(conn.to);
+            else if (conn.to === node) neighbours.push(conn.from);
+        });
+        return neighbours;
+    }
+
+    // Pick the connected node that best matches an arrow key direction on screen
+    neighbourInDirection(node, dir) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        this.getNeighbours(node).forEach(other => {
+            if (this.hiddenCategories.has(other.category)) return;
+
+            const dx = other.x - node.x;
+            const dy = other.y - node.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const alignment = (dx * dir.x + dy * dir.y) / dist; // cos of the angle to the arrow
+
+            // Anywhere in the arrow's half-plane, preferring well aligned and then close nodes
+            if (alignment > 0) {
+                const score = alignment - dist / 10000;
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = other;
                 }
             }
+        });
 
-            // 2. Attraction along connections (spring force)
-            this.connections.forEach(conn => {
-                let other = null;
-                let sign = 1;
+        return best;
+    }
 
-                if (conn.from === nodeA) {
-                    other = conn.to;
-                } else if (conn.to === nodeA) {
-                    other = conn.from;
-                    sign = -1;
-                }
+    // Physics simulation using Verlet integration
+    updatePhysics() {
+        const nodes = this.nodes;
+        const n = nodes.length;
+        if (!n) return;
 
-                if (other) {
-                    const dx = other.x - nodeA.x;
-                    const dy = other.y - nodeA.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    const optimalDist = 150; // Desired connection length
-                    const force = (dist - optimalDist) * this.attractionStrength;
+        if (!this.forceX || this.forceX.length < n) {
+            this.forceX = new Float64Array(n);
+            this.forceY = new Float64Array(n);
+        }
+        const forceX = this.forceX;
+        const forceY = this.forceY;
+
+        // 0. Fade filtered categories in/out; a fading node's forces scale with its visibility
+        const active = [];
+        for (let i = 0; i < n; i++) {
+            const node = nodes[i];
+            const target = this.hiddenCategories.has(node.category) ? 0 : 1;
+            if (node.visibility < target) {
+                node.visibility = Math.min(target, node.visibility + this.fadeSpeed);
+            } else if (node.visibility > target) {
+                node.visibility = Math.max(target, node.visibility - this.fadeSpeed);
+            }
+            if (node.visibility > 0) {
+                active.push(node);
+            } else {
+                // Filtered out: drop leftover momentum so it neither counts towards
+                // kineticEnergy() (and keeps the loop awake) nor flings the node on return
+                node.vx = 0;
+                node.vy = 0;
+            }
+        }
+        if (!active.length) return;
+
+        // 1. Repulsion (Barnes-Hut: distant groups of nodes act as one body)
+        const tree = Quadtree.build(active);
+        const range = this.minDistance * 3; // Only repel if close
+        for (let i = 0; i < n; i++) {
+            nodes[i].index = i;
+            forceX[i] = 0;
+            forceY[i] = 0;
+            if (nodes[i] !== this.draggedNode && nodes[i].visibility > 0) {
+                this.applyRepulsion(nodes[i], tree, range, i);
+            }
+        }
 
-                    fx += (dx / dist) * force * sign;
-                    fy += (dy / dist) * force * sign;
-                }
-            });
+        // 2. Attraction along connections (spring force), one pass over the edges
+        const optimalDist = 150; // Desired connection length
+        for (let e = 0; e < this.connections.length; e++) {
+            const conn = this.connections[e];
+            const presence = Math.min(conn.from.visibility, conn.to.visibility);
+            if (presence === 0) continue;
+
+            const dx = conn.to.x - conn.from.x;
+            const dy = conn.to.y - conn.from.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist === 0) continue;
+
+            const force = (dist - optimalDist) * this.attractionStrength * conn.weight * presence;
+            const fx = (dx / dist) * force;
+            const fy = (dy / dist) * force;
+
+            forceX[conn.from.index] += fx;
+            forceY[conn.from.index] += fy;
+            forceX[conn.to.index] -= fx;
+            forceY[conn.to.index] -= fy;
+        }
+
+        for (let i = 0; i < n; i++) {
+            const nodeA = nodes[i];
+
+            // Skip if being dragged, pinned in place or filtered out
+            if (nodeA === this.draggedNode || nodeA.pinned || nodeA.visibility === 0) continue;
+
+            let fx = forceX[i], fy = forceY[i];
 
             // 3. Weak attraction to center (prevents drift)
             const dcx = this.centerX - nodeA.x;
@@ -389,16 +1140,114 @@ class SkillEcosystem {
         }
     }
 
-    // Optimized rendering using Canvas API
-    render() {
-        const ctx = this.ctx;
+    // Walk the quadtree for one node. A cell whose size/distance ratio is below theta
+    // is treated as a single body at its center of mass; theta = 0 gives the exact sum.
+    applyRepulsion(node, tree, range, i) {
+        const rangeSq = range * range;
+        const thetaSq = this.theta * this.theta;
+        const stack = [tree];
+        let fx = 0, fy = 0;
+
+        while (stack.length) {
+            const cell = stack.pop();
+
+            // Skip cells that lie entirely outside the repulsion range
+            const nearestX = Math.max(cell.x, Math.min(node.x, cell.x + cell.size));
+            const nearestY = Math.max(cell.y, Math.min(node.y, cell.y + cell.size));
+            const ndx = node.x - nearestX;
+            const ndy = node.y - nearestY;
+            if (ndx * ndx + ndy * ndy >= rangeSq) continue;
+
+            if (cell.bodies) {
+                for (let k = 0; k < cell.bodies.length; k++) {
+                    const other = cell.bodies[k];
+                    if (other === node) continue;
+
+                    const dx = node.x - other.x;
+                    const dy = node.y - other.y;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq >= rangeSq || distSq === 0) continue;
+
+                    const dist = Math.sqrt(distSq);
+                    const force = this.repulsionStrength * other.visibility / (distSq + 1); // +1 prevents division by zero
+                    fx += (dx / dist) * force;
+                    fy += (dy / dist) * force;
+                }
+                continue;
+            }
+
+            const dx = node.x - cell.cx;
+            const dy = node.y - cell.cy;
+            const distSq = dx * dx + dy * dy;
+            const inside = node.x >= cell.x && node.x < cell.x + cell.size &&
+                node.y >= cell.y && node.y < cell.y + cell.size;
+
+            if (!inside && distSq > 0 && cell.size * cell.size < thetaSq * distSq) {
+                if (distSq < rangeSq) {
+                    const dist = Math.sqrt(distSq);
+                    const force = this.repulsionStrength * cell.mass / (distSq + 1);
+                    fx += (dx / dist) * force;
+                    fy += (dy / dist) * force;
+                }
+                continue;
+            }
+
+            for (let c = 0; c < 4; c++) {
+                if (cell.children[c]) stack.push(cell.children[c]);
+            }
+        }
+
+        this.forceX[i] += fx;
+        this.forceY[i] += fy;
+    }
+
+    // Run physics ticks without rendering and report the average cost
+    benchmark(ticks = 100) {
+        const start = performance.now();
+        for (let t = 0; t < ticks; t++) {
+            this.updatePhysics();
+        }
+        const elapsed = performance.now() - start;
+
+        return {
+            nodes: this.nodes.length,
+            edges: this.connections.length,
+            ticks,
+            theta: this.theta,
+            msPerTick: elapsed / ticks
+        };
+    }
+
+    // Optimized rendering using Canvas API.
+    // Exports pass their own context, pixel ratio and an opaque background.
+    render(ctx = this.ctx, dpr = this.dpr, background = null) {
+        const cam = this.camera;
 
         // Clear canvas
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         ctx.clearRect(0, 0, this.width, this.height);
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+
+        // Everything below is drawn in world coordinates through the camera
+        ctx.setTransform(
+            dpr * cam.scale, 0, 0, dpr * cam.scale,
+            dpr * (this.width / 2 - cam.x * cam.scale),
+            dpr * (this.height / 2 - cam.y * cam.scale)
+        );
+
+        const highlighted = this.getHighlightedNodes();
+        const emphasis = (node) => !highlighted || highlighted.has(node) ? 1 : this.dimAlpha;
 
         // Draw connections first (behind nodes)
         ctx.lineWidth = 1.5;
         this.connections.forEach(conn => {
+            const presence = Math.min(conn.from.visibility, conn.to.visibility);
+            if (presence === 0) return;
+            ctx.globalAlpha = presence * Math.min(emphasis(conn.from), emphasis(conn.to));
+
             const grad = ctx.createLinearGradient(
                 conn.from.x, conn.from.y,
                 conn.to.x, conn.to.y
@@ -415,12 +1264,16 @@ class SkillEcosystem {
 
         // Draw nodes
         this.nodes.forEach(node => {
+            if (node.visibility === 0) return;
+            ctx.globalAlpha = node.visibility * emphasis(node);
+
             const isHovered = node === this.hoveredNode;
             const isDragged = node === this.draggedNode;
+            const isMatch = !!(this.searchMatches && this.searchMatches.has(node)) || node === this.selectedNode;
             const radius = node.radius + (isHovered || isDragged ? 5 : 0);
 
-            // Glow effect for hovered/dragged
-            if (isHovered || isDragged) {
+            // Glow effect for hovered/dragged/highlighted
+            if (isHovered || isDragged || isMatch) {
                 ctx.shadowBlur = 20;
                 ctx.shadowColor = node.color;
             } else {
@@ -446,50 +1299,555 @@ class SkillEcosystem {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
 
-            // Multi-line text for long names
-            const words = node.name.split(' ');
-            if (words.length > 1 && node.name.length > 12) {
-                ctx.fillText(words[0], node.x, node.y - 6);
-                ctx.fillText(words.slice(1).join(' '), node.x, node.y + 6);
-            } else {
-                ctx.fillText(node.name, node.x, node.y);
-            }
+            this.labelLines(node).forEach(line => {
+                ctx.fillText(line.text, node.x, node.y + line.dy);
+            });
+        });
+        ctx.globalAlpha = 1;
+
+        // Keyboard focus ring (live canvas only, not in exports)
+        if (this.focusedNode && ctx === this.ctx) {
+            const node = this.focusedNode;
+            ctx.save();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 4]);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, node.radius + 10, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    // Multi-line text for long names: first word on top, the rest below
+    labelLines(node) {
+        const words = node.name.split(' ');
+        if (words.length > 1 && node.name.length > 12) {
+            return [
+                { text: words[0], dy: -6 },
+                { text: words.slice(1).join(' '), dy: 6 }
+            ];
+        }
+        return [{ text: node.name, dy: 0 }];
+    }
+
+    // --- Export & layout sharing ---
+
+    // PNG of the current view; scale is the pixel ratio (2 = twice the CSS size)
+    exportPNG(scale = window.devicePixelRatio || 1, background = '#0f172a') {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        this.applyPixelRatio(canvas, ctx, this.width, this.height, scale);
+        this.render(ctx, scale, background);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('SkillEcosystem: PNG export failed'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    // Standalone SVG of the current view with the same gradients, glows and labels as render()
+    exportSVG(background = '#0f172a') {
+        const cam = this.camera;
+        const highlighted = this.getHighlightedNodes();
+        const emphasis = (node) => !highlighted || highlighted.has(node) ? 1 : this.dimAlpha;
+        const num = (v) => Math.round(v * 100) / 100;
+        const esc = (text) => String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+
+        const defs = [];
+        const edges = [];
+        const nodes = [];
+
+        this.connections.forEach((conn, i) => {
+            const presence = Math.min(conn.from.visibility, conn.to.visibility);
+            if (presence === 0) return;
+
+            // userSpaceOnUse keeps the gradient along the line, like createLinearGradient
+            defs.push(`<linearGradient id="edge${i}" gradientUnits="userSpaceOnUse" ` +
+                `x1="${num(conn.from.x)}" y1="${num(conn.from.y)}" x2="${num(conn.to.x)}" y2="${num(conn.to.y)}">` +
+                `<stop offset="0" stop-color="${conn.from.color}" stop-opacity="0.25"/>` +
+                `<stop offset="1" stop-color="${conn.to.color}" stop-opacity="0.25"/></linearGradient>`);
+            edges.push(`<line x1="${num(conn.from.x)}" y1="${num(conn.from.y)}" x2="${num(conn.to.x)}" y2="${num(conn.to.y)}" ` +
+                `stroke="url(#edge${i})" stroke-width="1.5" ` +
+                `opacity="${num(presence * Math.min(emphasis(conn.from), emphasis(conn.to)))}"/>`);
         });
+
+        this.nodes.forEach(node => {
+            if (node.visibility === 0) return;
+
+            const isMatch = !!(this.searchMatches && this.searchMatches.has(node)) || node === this.selectedNode;
+            // Canvas shadowBlur is roughly twice an SVG blur's standard deviation
+            defs.push(`<filter id="glow${node.id}" x="-100%" y="-100%" width="300%" height="300%">` +
+                `<feDropShadow dx="0" dy="0" stdDeviation="${isMatch ? 10 : 5}" ` +
+                `flood-color="${node.color}" flood-opacity="${isMatch ? 1 : 0.5}"/></filter>`);
+
+            const labels = this.labelLines(node).map(line =>
+                `<text x="${num(node.x)}" y="${num(node.y + line.dy)}">${esc(line.text)}</text>`).join('');
+
+            nodes.push(`<g opacity="${num(node.visibility * emphasis(node))}">` +
+                `<circle cx="${num(node.x)}" cy="${num(node.y)}" r="${node.radius}" fill="${node.color}" fill-opacity="0.125" ` +
+                `stroke="${node.color}" stroke-width="2.5" filter="url(#glow${node.id})"/>` +
+                `<g fill="#ffffff" font-family="Inter, sans-serif" font-size="11" font-weight="bold" ` +
+                `text-anchor="middle" dominant-baseline="middle">${labels}</g></g>`);
+        });
+
+        const tx = this.width / 2 - cam.x * cam.scale;
+        const ty = this.height / 2 - cam.y * cam.scale;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${num(this.width)}" height="${num(this.height)}" ` +
+            `viewBox="0 0 ${num(this.width)} ${num(this.height)}">` +
+            `<defs>${defs.join('')}</defs>` +
+            (background ? `<rect width="100%" height="100%" fill="${background}"/>` : '') +
+            `<g transform="matrix(${num(cam.scale)} 0 0 ${num(cam.scale)} ${num(tx)} ${num(ty)})">` +
+            edges.join('') + nodes.join('') +
+            '</g></svg>';
+    }
+
+    // Save a PNG or SVG snapshot through a temporary download link
+    download(format = 'png', scale) {
+        const filename = 'skill-ecosystem.' + format;
+        const blob = format === 'svg'
+            ? Promise.resolve(new Blob([this.exportSVG()], { type: 'image/svg+xml' }))
+            : this.exportPNG(scale);
+
+        return blob.then(data => {
+            const url = URL.createObjectURL(data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        });
+    }
+
+    /**
+     * Node positions and camera as a URL-safe string. Coordinates are stored
+     * relative to the center so a layout survives a different canvas size.
+     */
+    serializeLayout() {
+        const round = (v) => Math.round(v * 10) / 10;
+        const layout = {
+            v: 1,
+            c: [round(this.camera.x - this.centerX), round(this.camera.y - this.centerY), round(this.camera.scale * 1000) / 1000],
+            n: {}
+        };
+        this.nodes.forEach(node => {
+            layout.n[node.name] = [round(node.x - this.centerX), round(node.y - this.centerY)];
+        });
+
+        const bytes = new TextEncoder().encode(JSON.stringify(layout));
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Put nodes back where serializeLayout() saw them. Pinned by default, so the
+    // physics does not drift the layout away again. Unknown names are ignored.
+    restoreLayout(encoded, pin = true) {
+        let layout;
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            layout = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            console.warn('SkillEcosystem: ignoring unreadable layout', error);
+            return false;
+        }
+        if (!layout || layout.v !== 1 || !layout.n) return false;
+
+        this.nodes.forEach(node => {
+            const pos = layout.n[node.name];
+            if (!pos) return;
+            node.x = this.centerX + pos[0];
+            node.y = this.centerY + pos[1];
+            node.vx = 0;
+            node.vy = 0;
+            node.pinned = pin;
+        });
+
+        if (Array.isArray(layout.c)) {
+            this.camera.x = this.centerX + layout.c[0];
+            this.camera.y = this.centerY + layout.c[1];
+            this.camera.scale = Math.min(this.maxZoom, Math.max(this.minZoom, layout.c[2]));
+        }
+
+        this.hidePopup();
+        this.requestRender();
+        this.wake();
+        return true;
+    }
+
+    // Store the layout as a permalink ('hash') or for this browser only ('localStorage')
+    saveLayout(target = 'hash') {
+        const encoded = this.serializeLayout();
+
+        if (target === 'localStorage') {
+            localStorage.setItem(SkillEcosystem.LAYOUT_KEY, encoded);
+        } else {
+            // replaceState avoids a history entry and the jump a hash change would cause
+            history.replaceState(null, '', '#layout=' + encoded);
+        }
+        return encoded;
+    }
+
+    // A layout in the URL wins over one saved in this browser
+    restoreSavedLayout() {
+        const match = window.location.hash.match(/layout=([\w-]+)/);
+        if (match && this.restoreLayout(match[1])) {
+            this.canvas.scrollIntoView({ block: 'center' });
+            return true;
+        }
+
+        let saved = null;
+        try {
+            saved = localStorage.getItem(SkillEcosystem.LAYOUT_KEY);
+        } catch (error) {
+            // Storage can be unavailable (privacy mode); there is just nothing to restore
+        }
+        return saved ? this.restoreLayout(saved) : false;
+    }
+
+    clearSavedLayout() {
+        localStorage.removeItem(SkillEcosystem.LAYOUT_KEY);
+        if (/layout=/.test(window.location.hash)) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        this.nodes.forEach(node => { node.pinned = false; });
+        this.wake();
     }
 
     // Main animation loop
     animate(timestamp) {
         // Calculate FPS
-        const deltaTime = timestamp - this.lastFrameTime;
+        const deltaTime = this.lastFrameTime ? timestamp - this.lastFrameTime : this.timestep;
         this.fps = 1000 / deltaTime;
         this.lastFrameTime = timestamp;
 
-        // Update physics and render
-        this.updatePhysics();
+        // Fixed timestep: physics advances in equal steps whatever the refresh rate.
+        // Long frames (e.g. a stalled tab) are capped so the loop never spirals.
+        this.accumulator += Math.min(deltaTime, this.timestep * this.maxStepsPerFrame);
+        while (this.accumulator >= this.timestep) {
+            this.step();
+            this.accumulator -= this.timestep;
+        }
         this.render();
 
-        // Continue animation
-        this.animationId = requestAnimationFrame((t) => this.animate(t));
+        // Continue animation until the layout has come to rest
+        if (this.calmTicks >= this.sleepAfterTicks) {
+            this.animationId = null;
+            this.sleeping = true;
+        } else {
+            this.animationId = requestAnimationFrame((t) => this.animate(t));
+        }
+    }
+
+    // One physics tick plus the bookkeeping for auto-sleep
+    step() {
+        this.updatePhysics();
+
+        const fading = this.nodes.some(n =>
+            n.visibility !== (this.hiddenCategories.has(n.category) ? 0 : 1));
+        if (this.draggedNode || fading || this.kineticEnergy() >= this.sleepThreshold) {
+            this.calmTicks = 0;
+        } else {
+            this.calmTicks++;
+        }
+    }
+
+    // Mean squared velocity of the nodes
+    kineticEnergy() {
+        let energy = 0;
+        this.nodes.forEach(node => {
+            energy += node.vx * node.vx + node.vy * node.vy;
+        });
+        return energy / Math.max(this.nodes.length, 1);
     }
 
     startAnimation() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+        if (!this.motionQuery && window.matchMedia) {
+            // Users who ask for reduced motion get a settled, static layout instead of the loop
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.reducedMotion = this.motionQuery.matches;
+            this.motionQuery.addEventListener('change', (e) => {
+                this.reducedMotion = e.matches;
+                this.stopLoop();
+                this.wake();
+            });
+        }
+
+        this.wake();
+    }
+
+    // Something changed that the physics has to react to: leave sleep and run again
+    wake() {
+        if (this.headless) return;
+
+        this.sleeping = false;
+        this.calmTicks = 0;
+
+        if (this.reducedMotion) {
+            // Pointer moves arrive many times a second: while dragging advance a single
+            // tick, the full settle() runs once when the node is dropped
+            if (this.draggedNode) {
+                this.updatePhysics();
+            } else {
+                this.settle();
+            }
+            this.requestRender();
+        } else {
+            this.runLoop();
         }
+    }
+
+    runLoop() {
+        if (this.animationId || this.paused || this.sleeping || document.hidden) return;
+
+        if (this.renderFrameId) {
+            cancelAnimationFrame(this.renderFrameId);
+            this.renderFrameId = null;
+        }
+        // Start timing fresh so time spent paused or hidden is not simulated
+        this.lastFrameTime = 0;
+        this.accumulator = 0;
         this.animationId = requestAnimationFrame((t) => this.animate(t));
     }
 
-    destroy() {
+    stopLoop() {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        this.stopLoop();
+    }
+
+    resume() {
+        this.paused = false;
+        this.wake();
+    }
+
+    // Draw a single frame when the animation loop is not running
+    requestRender() {
+        if (this.headless || this.animationId || this.renderFrameId) return;
+        this.renderFrameId = requestAnimationFrame(() => {
+            this.renderFrameId = null;
+            this.render();
+        });
+    }
+
+    // Run physics without drawing until the layout stops moving
+    settle(maxTicks = 1000) {
+        for (let t = 0; t < maxTicks; t++) {
+            this.updatePhysics();
+            if (this.kineticEnergy() < this.sleepThreshold) break;
+        }
+    }
+
+    unpinNode(node) {
+        if (typeof node === 'string') node = this.getNode(node);
+        if (!node) return;
+        node.pinned = false;
+        this.wake();
+    }
+
+    destroy() {
+        this.stopLoop();
+        if (this.renderFrameId) {
+            cancelAnimationFrame(this.renderFrameId);
+        }
+        if (this.onVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        }
+    }
+}
+
+// Mulberry32: small, fast seeded PRNG returning floats in [0, 1) like Math.random
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Lowercase and strip diacritics so "surec" finds "Süreç" and "ifs" finds "IFS"
+export function normalizeSearchText(text) {
+    return text.toLowerCase().replace(/ı/g, 'i').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Score how well a query matches a text: substrings score above 1, characters
+ * found in order with small gaps score between 0 and 1, no match scores 0.
+ */
+export function fuzzyScore(query, text) {
+    const q = normalizeSearchText(query);
+    const t = normalizeSearchText(text);
+    if (!q) return 0;
+
+    const index = t.indexOf(q);
+    if (index !== -1) {
+        // Earlier and tighter matches rank higher
+        return 2 + q.length / t.length - index / (t.length * 10);
+    }
+
+    // Subsequence match; too many gaps means the letters just happen to appear
+    let qi = 0, first = -1, last = -1;
+    for (let ti = 0; ti < t.length && qi < q.length; ti++) {
+        if (t[ti] === q[qi]) {
+            if (first === -1) first = ti;
+            last = ti;
+            qi++;
+        }
+    }
+    if (qi < q.length || q.length < 2) return 0;
+
+    const span = last - first + 1;
+    if (span > q.length * 2) return 0;
+    return q.length / span;
+}
+
+/**
+ * Barnes-Hut quadtree. Leaves keep their bodies; inner cells keep the
+ * total mass and center of mass of everything below them. Every inserted
+ * node needs a visibility > 0, which is used as its mass.
+ */
+export class Quadtree {
+    constructor(x, y, size, depth) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.depth = depth;
+        this.mass = 0;
+        this.cx = 0;
+        this.cy = 0;
+        this.bodies = [];   // null once the cell has been split
+        this.children = null;
+    }
+
+    static build(nodes) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const node of nodes) {
+            if (node.x < minX) minX = node.x;
+            if (node.y < minY) minY = node.y;
+            if (node.x > maxX) maxX = node.x;
+            if (node.y > maxY) maxY = node.y;
+        }
+
+        // Pad slightly so nodes on the max edge still fall inside the half-open bounds
+        const size = Math.max(maxX - minX, maxY - minY, 1) * 1.0001;
+        const root = new Quadtree(minX, minY, size, 0);
+        for (const node of nodes) {
+            root.insert(node);
+        }
+        return root;
+    }
+
+    insert(node) {
+        let cell = this;
+
+        for (;;) {
+            cell.addMass(node);
+
+            if (cell.bodies) {
+                // Coincident nodes would split forever, so leaves stop dividing at a fixed depth
+                if (cell.bodies.length === 0 || cell.depth >= Quadtree.MAX_DEPTH) {
+                    cell.bodies.push(node);
+                    return;
+                }
+                cell.split();
+            }
+
+            cell = cell.childFor(node);
+        }
+    }
+
+    split() {
+        const half = this.size / 2;
+        const depth = this.depth + 1;
+        this.children = [
+            new Quadtree(this.x, this.y, half, depth),
+            new Quadtree(this.x + half, this.y, half, depth),
+            new Quadtree(this.x, this.y + half, half, depth),
+            new Quadtree(this.x + half, this.y + half, half, depth)
+        ];
+
+        const bodies = this.bodies;
+        this.bodies = null;
+        for (const body of bodies) {
+            const child = this.childFor(body);
+            child.addMass(body);
+            child.bodies.push(body);
         }
     }
+
+    // Nodes weigh their visibility, so fading nodes push less
+    addMass(node) {
+        const mass = this.mass + node.visibility;
+        this.cx = (this.cx * this.mass + node.x * node.visibility) / mass;
+        this.cy = (this.cy * this.mass + node.y * node.visibility) / mass;
+        this.mass = mass;
+    }
+
+    childFor(node) {
+        const half = this.size / 2;
+        const index = (node.x >= this.x + half ? 1 : 0) + (node.y >= this.y + half ? 2 : 0);
+        return this.children[index];
+    }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    const ecosystem = new SkillEcosystem('skillCanvas', 'skillPopup');
+Quadtree.MAX_DEPTH = 20;
+
+SkillEcosystem.LAYOUT_KEY = 'skillEcosystem.layout';
+
+/**
+ * Headless benchmark on a synthetic graph, e.g. from the console:
+ *   SkillEcosystem.benchmark({ nodes: 2000, ticks: 50, theta: 0.5 })
+ * Pass theta: 0 to time the exact (all pairs in range) calculation.
+ */
+SkillEcosystem.benchmark = function (options = {}) {
+    const nodeCount = options.nodes || 1000;
+    const random = createRandom(options.seed !== undefined ? options.seed : 1);
+    const categories = ['core', 'technical', 'programming', 'analytics'];
+    const colors = ['#00f2ff', '#a855f7', '#3b82f6', '#10b981'];
+
+    const nodes = [];
+    const edges = [];
+    for (let i = 0; i < nodeCount; i++) {
+        nodes.push({
+            name: 'Skill ' + i,
+            category: categories[i % categories.length],
+            color: colors[i % colors.length]
+        });
+        // A random spanning tree plus extra links gives roughly 1.5 edges per node
+        if (i > 0) {
+            edges.push({ from: 'Skill ' + i, to: 'Skill ' + Math.floor(random() * i) });
+        }
+        if (i > 1 && i % 2 === 0) {
+            edges.push({ from: 'Skill ' + i, to: 'Skill ' + Math.floor(random() * (i - 1)) });
+        }
+    }
 
-    // Store instance globally for debugging
-    window.skillEcosystem = ecosystem;
-});
+    const ecosystem = new SkillEcosystem(null, null, {
+        headless: true,
+        width: options.width || 1600,
+        height: options.height || 1200,
+        theta: options.theta,
+        seed: options.seed !== undefined ? options.seed : 1,
+        data: { nodes, edges }
+    });
+    return ecosystem.benchmark(options.ticks || 100);
+};
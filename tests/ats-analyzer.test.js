@@ -0,0 +1,156 @@
+// Depo kökünden çalıştır: node --test tests/
+// ats-analyzer.js saf fonksiyonlardan oluşur; CV modeli cv-model.js'den kurulur.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractKeywords, matchKeywords, findAtsWarnings } from '../ats-cv-tool/ats-analyzer.js';
+import { createDefaultCV, SECTION_TYPES } from '../ats-cv-tool/cv-model.js';
+
+const terms = text => extractKeywords(text).map(k => k.term);
+
+// Uyarı üretmeyen, doldurulmuş bir CV
+function completeCV() {
+    const data = createDefaultCV();
+    data.personal = {
+        name: 'Ayşe Yılmaz',
+        title: 'Planlama Mühendisi',
+        email: 'ayse@ornek.com',
+        phone: '+90 555 000 00 00',
+        link: 'linkedin.com/in/ayse',
+        summary: 'Üretim planlama ve ERP.'
+    };
+    const [experience, education, skills] = data.sections;
+    experience.items.splice(1);
+    Object.assign(experience.items[0], { title: 'Planlama Uzmanı', company: 'Acme', date: '03/2021 - Devam', description: '• MRP kurgusu' });
+    Object.assign(education.items[0], { school: 'İTÜ', department: 'Endüstri Mühendisliği', date: '2019' });
+    skills.content = 'IFS ERP, SQL';
+    return data;
+}
+
+const messages = data => findAtsWarnings(data, SECTION_TYPES).map(w => w.message);
+const levelOf = (data, pattern) => findAtsWarnings(data, SECTION_TYPES).find(w => pattern.test(w.message))?.level;
+
+describe('anahtar kelime çıkarma', () => {
+    test('Türkçe ve İngilizce dolgu kelimeleri atılır', () => {
+        assert.deepEqual(terms('Aranan aday için en az 3 yıl deneyim ve SQL bilgisi tercihen Python'), ['python', 'sql']);
+        assert.deepEqual(terms('We are looking for a candidate with strong experience in Kubernetes and Terraform'), ['kubernetes', 'terraform']);
+    });
+
+    test('kısa teknik terimler korunur, ".NET" Türkçedeki "net" ile karışmaz', () => {
+        const found = terms('Experience with .NET, C#, C++ and CI/CD pipelines. Go ve R bilgisi.');
+        ['.net', 'c#', 'c++', 'ci/cd'].forEach(term => assert.ok(found.includes(term), term));
+        assert.ok(!found.includes('net'));
+        assert.ok(!found.includes('go'));
+
+        assert.deepEqual(terms('Net maaş ...ve .NET'), ['.net', 'maaş', 'net']);
+    });
+
+    test('bilinen çok kelimeli yetkinlikler ve tekrar eden ikililer tek terimdir', () => {
+        const keywords = extractKeywords('Power BI ile veri analizi. Depo sayımı ve depo sayımı raporları.');
+        const weight = term => keywords.find(k => k.term === term)?.weight;
+
+        assert.equal(weight('power bi'), 3); // bilinen: 2 + geçiş sayısı
+        assert.equal(weight('veri analizi'), 3);
+        assert.equal(weight('depo sayımı'), 3); // ikili: 1 + geçiş sayısı
+        assert.equal(weight('depo'), undefined);
+        assert.equal(weight('raporları'), 1);
+        assert.deepEqual(keywords.map(k => k.weight), [...keywords.map(k => k.weight)].sort((a, b) => b - a));
+    });
+
+    test('ekler aynı köke indirilir', () => {
+        assert.deepEqual(extractKeywords('Raporlama raporlamaları systems system'), [
+            { term: 'raporlama', weight: 2 },
+            { term: 'systems', weight: 2 }
+        ]);
+    });
+});
+
+describe('eşleşme', () => {
+    test('yüzde terim ağırlıklarıyla hesaplanır', () => {
+        const job = 'SQL raporları. SQL ile analiz. Python, SQL ve Docker.';
+        const result = matchKeywords(job, 'Beş yıl SQL ve Python kullandım, raporlar hazırladım.');
+
+        assert.equal(result.score, 71); // (3 + 1 + 1) / (3 + 1 + 1 + 1 + 1)
+        assert.deepEqual(result.matched.map(k => k.term), ['sql', 'python', 'raporları']);
+        assert.deepEqual(result.missing, [{ term: 'analiz', weight: 1 }, { term: 'docker', weight: 1 }]);
+    });
+
+    test('CV tarafında ekli yazım ve kısa terimler eşleşir', () => {
+        const result = matchKeywords('Sipariş planlama, .NET ve C# deneyimi', 'Siparişleri planladım; .NET Core ve C# ile servisler.');
+        assert.deepEqual(result.missing.map(k => k.term), ['planlama']);
+        assert.equal(matchKeywords('Experience with .NET', 'Net maaş beklentisi').score, 0);
+    });
+
+    test('ilan boşsa skor sıfır, liste boş', () => {
+        assert.deepEqual(matchKeywords('', 'SQL'), { score: 0, matched: [], missing: [], keywords: [] });
+    });
+});
+
+describe('ATS uyarıları', () => {
+    test('eksiksiz CV uyarı üretmez', () => {
+        assert.deepEqual(messages(completeCV()), []);
+    });
+
+    test('ad ve e-posta eksikse hata, telefon ve özet eksikse uyarı', () => {
+        const data = completeCV();
+        Object.assign(data.personal, { name: ' ', email: '', phone: '', summary: '' });
+
+        assert.equal(levelOf(data, /^Ad soyad boş/), 'error');
+        assert.equal(levelOf(data, /^E-posta adresi yok/), 'error');
+        assert.equal(levelOf(data, /^Telefon numarası yok/), 'warning');
+        assert.equal(levelOf(data, /^Özet boş/), 'warning');
+    });
+
+    test('geçersiz e-posta uyarılır', () => {
+        const data = completeCV();
+        data.personal.email = 'ayse@ornek';
+        assert.deepEqual(messages(data), ['E-posta adresi geçerli görünmüyor.']);
+    });
+
+    test('ad veya ünvan satırına yazılmış iletişim bilgisi uyarılır', () => {
+        const data = completeCV();
+        data.personal.name = 'Ayşe Yılmaz ayse@ornek.com';
+        data.personal.title = 'Analist | +90 (555) 000 00 00 | www.ayse.dev';
+
+        assert.deepEqual(messages(data), [
+            'Ad soyad satırında iletişim bilgisi var (e-posta). ATS bunu iletişim bilgisi olarak okumaz; kendi alanına yazın.',
+            'Ünvan satırında iletişim bilgisi var (telefon, bağlantı). ATS bunu iletişim bilgisi olarak okumaz; kendi alanına yazın.'
+        ]);
+
+        data.personal.name = 'Ayşe Yılmaz';
+        data.personal.title = 'Planlama Mühendisi 2019 - 2024';
+        assert.deepEqual(messages(data), []);
+    });
+
+    test('standart olmayan bölüm başlığı uyarılır', () => {
+        const data = completeCV();
+        data.sections[0].title = 'Yolculuğum';
+        assert.deepEqual(messages(data), [
+            '"Yolculuğum" standart bir başlık değil. ATS\'ler "deneyim" / "professional experience" gibi başlıkları tanır.'
+        ]);
+    });
+
+    test('tarihsiz veya yılsız kayıtlar uyarılır, boş kayıtlar atlanır', () => {
+        const data = completeCV();
+        data.sections[0].items[0].date = '';
+        data.sections[1].items[0].date = 'Bahar dönemi';
+        data.sections[0].items.push({ id: 99, title: '', company: '', date: '', description: '' });
+
+        assert.deepEqual(messages(data), [
+            'İş Deneyimi #1: tarih yok.',
+            'Eğitim #1: tarihte yıl yok ("Bahar dönemi"). Örn: "03/2021 - Devam".'
+        ]);
+    });
+
+    test('çok uzun maddeler açıklamada ve serbest metinde uyarılır', () => {
+        const data = completeCV();
+        const long = 'a'.repeat(221);
+        data.sections[0].items[0].description = '• kısa\n• ' + long;
+        data.sections[2].content = long;
+
+        assert.deepEqual(messages(data), [
+            'İş Deneyimi #1: 223 karakterlik çok uzun bir madde var. Maddeleri 220 karakterin altında tutun.',
+            'Yetkinlikler: 221 karakterlik çok uzun bir madde var. Maddeleri 220 karakterin altında tutun.'
+        ]);
+    });
+});
@@ -0,0 +1,178 @@
+// Run from the repository root: node --test tests/
+// banana-engine.js is a classic script with a CommonJS export for Node, no DOM needed.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import engine from '../banana-engine.js';
+
+const { BALANCE, createGameState, tick, harvest, hire, sell, settleBet, rebirth, lineOutput, sellPrice, rocketCost } = engine;
+
+// Random events off and a still market, so every second does only production
+const quiet = { randomEvents: false, random: () => 0.5 };
+
+function gameWith(changes) {
+    const state = createGameState();
+    const { units = {}, ...rest } = changes;
+    Object.assign(state.units, units);
+    return Object.assign(state, rest);
+}
+
+const assertClose = (actual, expected) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+describe('tick', () => {
+    test('production runs once per whole second of game time', () => {
+        let state = gameWith({ units: { stajyer: 3 } });
+
+        state = tick(state, 0.5, quiet).state;
+        assert.equal(state.banana, 0);
+        assert.equal(state.elapsed, 0.5);
+
+        state = tick(state, 0.5, quiet).state;
+        assert.equal(state.banana, 3);
+
+        state = tick(state, 2.7, quiet).state;
+        assert.equal(state.banana, 9);
+        assertClose(state.stats.playTime, 3.7);
+        assert.equal(state.stats.bananas, 9);
+    });
+
+    test('lines turn bananas into steel and isotope, and stop without input', () => {
+        const state = gameWith({ banana: 40, units: { factory: 2, lab: 1 } });
+        const next = tick(state, 1, quiet).state;
+
+        // Factory runs first (2 x 10 bananas), the lab then lacks its 25
+        assert.equal(next.banana, 20);
+        assert.equal(next.steel, 2);
+        assert.equal(next.isotope, 0);
+
+        const paused = tick({ ...state, active: { ...state.active, factory: false } }, 1, quiet).state;
+        assert.equal(paused.banana, 15);
+        assert.equal(paused.steel, 0);
+        assert.equal(paused.isotope, 1);
+    });
+
+    test('the market moves every interval seconds', () => {
+        const { state, events } = tick(createGameState(), BALANCE.market.interval * 2, { randomEvents: false, random: () => 1 });
+
+        assert.deepEqual(events.filter(e => e.type === 'market').map(e => e.previous), [1, 1.2]);
+        assertClose(state.marketPrice, 1.4);
+        assert.equal(state.stats.marketHistory.length, 2);
+    });
+
+    test('the input state is never modified', () => {
+        const state = gameWith({ units: { stajyer: 5 } });
+        const before = JSON.stringify(state);
+
+        tick(state, 10, quiet);
+        harvest(state);
+        assert.equal(JSON.stringify(state), before);
+    });
+});
+
+describe('storage cap', () => {
+    test('production and harvesting stop at the cap', () => {
+        const state = gameWith({ banana: BALANCE.storage.capacity - 1, units: { stajyer: 5 } });
+        const next = tick(state, 1, quiet).state;
+
+        assert.equal(next.banana, BALANCE.storage.capacity);
+        assert.equal(next.stats.bananas, 1); // Only what fit in the warehouse counts
+
+        const full = harvest(next);
+        assert.equal(full.error, 'Depo dolu.');
+        assert.equal(full.state, next);
+    });
+});
+
+describe('multipliers', () => {
+    test('staff bonuses scale output, consumption, prices and rocket cost', () => {
+        const state = gameWith({ units: { stajyer: 10, factory: 1 }, marketPrice: 2 });
+        state.staff.emre = true;
+        state.staff.dogi = true;
+        state.staff.servet = true;
+        state.staff.mert = true;
+
+        assertClose(lineOutput(state, 'stajyer'), 13);
+        assertClose(sellPrice(state, 'banana'), 2.4);
+        assertClose(sellPrice(state, 'steel'), BALANCE.prices.steel * 1.2);
+        assert.deepEqual(rocketCost(state), { money: 4000, steel: 80, isotope: 20 });
+
+        // 13 from interns, 8 instead of 10 eaten by the factory
+        state.banana = 100;
+        assertClose(tick(state, 1, quiet).state.banana, 105);
+    });
+
+    test('prestige adds a permanent bonus per level on top of staff', () => {
+        const state = gameWith({ units: { stajyer: 10 }, prestige: { level: 2 } });
+        assertClose(lineOutput(state, 'stajyer'), 15);
+        assertClose(sellPrice(state, 'steel'), BALANCE.prices.steel * 1.2);
+
+        state.staff.emre = true;
+        assertClose(lineOutput(state, 'stajyer'), 19.5);
+        assertClose(harvest(state).state.banana, 1.3 * 1.5);
+    });
+});
+
+describe('achievements', () => {
+    test('unlock once, on the event they listen to', () => {
+        const state = gameWith({ money: 10000, steel: 100 });
+        const first = hire(state, 'emre');
+
+        assert.deepEqual(first.events.map(e => e.type), ['hired', 'achievement']);
+        assert.equal(first.events[1].achievement.id, 'firstHire');
+        assert.equal(first.state.achievements.firstHire, true);
+
+        const second = hire(first.state, 'dogi');
+        assert.deepEqual(second.events.map(e => e.type), ['hired']);
+    });
+
+    test('streak and total achievements follow the statistics', () => {
+        let state = createGameState();
+        for (let i = 0; i < 3; i++) state = settleBet(state, 'dice', 10, true).state;
+        assert.equal(state.achievements.luckyStreak, true);
+        assert.equal(state.stats.bestStreak, 3);
+
+        state = gameWith({ banana: 10, marketPrice: BALANCE.market.crash });
+        const panic = sell(state, 'banana', 10);
+        assert.ok(panic.events.some(e => e.type === 'achievement' && e.achievement.id === 'panicSell'));
+
+        state = gameWith({ units: { stajyer: 1 }, stats: { ...createGameState().stats, bananas: 99999 } });
+        const { events } = tick(state, 1, quiet);
+        assert.ok(events.some(e => e.type === 'achievement' && e.achievement.id === 'bananaBaron'));
+    });
+});
+
+describe('rebirth', () => {
+    test('is refused until the rocket is finished', () => {
+        const state = gameWith({ rocketParts: BALANCE.rocket.parts - 1 });
+        const result = rebirth(state);
+
+        assert.equal(result.error, 'Önce warp motorunu tamamla.');
+        assert.equal(result.state, state);
+    });
+
+    test('starts a fresh run but keeps stats, achievements and prestige', () => {
+        const state = gameWith({ money: 123456, banana: 50, steel: 70, rocketParts: BALANCE.rocket.parts, units: { stajyer: 40, factory: 3 }, prestige: { level: 1 } });
+        state.staff.emre = true;
+        state.stats.bananas = 5000;
+        state.stats.bestStreak = 4;
+        state.achievements.firstHire = true;
+        state.achievements.rocket = true;
+
+        const { state: next, events } = rebirth(state);
+
+        assert.equal(next.money, 0);
+        assert.equal(next.banana, 0);
+        assert.equal(next.rocketParts, 0);
+        assert.deepEqual(next.units, createGameState().units);
+        assert.equal(next.staff.emre, false);
+
+        assert.equal(next.prestige.level, 2);
+        assert.deepEqual(next.stats, state.stats);
+        assert.notEqual(next.stats, state.stats);
+        assert.equal(next.achievements.firstHire, true);
+        assert.equal(next.achievements.rocket, true);
+        assert.equal(next.achievements.rebirth, true);
+        assert.deepEqual(events.map(e => e.type), ['rebirth', 'achievement']);
+    });
+});
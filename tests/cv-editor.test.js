@@ -0,0 +1,105 @@
+// Depo kökünden çalıştır: node --test tests/
+// script.js sayfayı içe aktarıldığı anda kurar; burada tests/dom-shim.js üzerine yüklenir
+// ve düğmeler gerçek sayfadaki gibi .editor-panel'e kabarcıklanan tıklamalarla sürülür.
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDom, createEvent } from './dom-shim.js';
+
+// cvtool.html'de script.js'in id ile aradığı öğeler
+const PAGE_IDS = [
+    'versionSelect', 'saveStatus', 'importFile', 'importReport', 'templateSelect', 'languageSelect',
+    'sectionsEditor', 'newSectionType', 'newSectionTitle', 'jobPosting', 'atsResult', 'cv-document'
+];
+
+let dom;
+let panel;
+
+// Her sorgu dizesi script.js'in ayrı bir kopyasını yükler, yani sayfa yeniden açılmış olur
+async function openPage(query = '', storage = {}) {
+    dom = installDom();
+    Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, value));
+    panel = dom.document.createElement('div');
+    panel.className = 'editor-panel';
+    dom.document.body.appendChild(panel);
+    PAGE_IDS.forEach(id => dom.addElement('div', id));
+
+    await import('../ats-cv-tool/script.js' + query);
+}
+
+before(async () => {
+    // Otomatik kayıt 500 ms gecikmeli; zamanlayıcı testte elle ilerletilir
+    mock.timers.enable({ apis: ['setTimeout'] });
+    await openPage();
+});
+
+after(() => {
+    dom.uninstall();
+    mock.timers.reset();
+});
+
+function savedCv() {
+    mock.timers.tick(500);
+    const store = JSON.parse(localStorage.getItem('atsCvTool.versions'));
+    return store.versions[store.active].data;
+}
+
+// Düzenleyici markup olarak çizildiği için (shim HTML ayrıştırmaz) tıklanan düğme,
+// renderEditor'ün ürettiği yapının aynısıyla panele eklenir
+function clickAction(action, sectionId) {
+    const sectionEl = dom.document.createElement('div');
+    sectionEl.dataset.section = sectionId;
+    const button = dom.document.createElement('button');
+    button.dataset.action = action;
+    sectionEl.appendChild(button);
+    panel.appendChild(sectionEl);
+
+    button.dispatchEvent(createEvent('click', { bubbles: true }));
+    sectionEl.remove();
+}
+
+describe('CV düzenleyici sayfası (DOM shim)', () => {
+    test('sayfa açılınca düzenleyici ve önizleme modelden çizilir', () => {
+        const editor = dom.document.getElementById('sectionsEditor').innerHTML;
+        const preview = dom.document.getElementById('cv-document');
+
+        assert.match(editor, /data-action="add-entry"/);
+        assert.equal(preview.className, 'template-classic');
+        assert.match(preview.innerHTML, /<h1>AD SOYAD<\/h1>/);
+    });
+
+    test('"Ekle" düğmesi bölüme boş bir kayıt ekler ve kaydeder', () => {
+        const entryCount = () => dom.document.getElementById('sectionsEditor').innerHTML.match(/data-entry="/g).length;
+        const experience = savedCv().sections.find(s => s.type === 'experience');
+        const before = experience.items.length;
+        const shownBefore = entryCount();
+
+        clickAction('add-entry', experience.id);
+
+        assert.equal(entryCount(), shownBefore + 1);
+        const items = savedCv().sections.find(s => s.id === experience.id).items;
+        assert.equal(items.length, before + 1);
+        assert.deepEqual(items[before], { id: items[before].id, title: '', company: '', date: '', description: '' });
+        assert.equal(new Set(items.map(item => item.id)).size, items.length);
+    });
+
+    test('bozuk bir sürüm açılışı bozmaz, boş CV ile açılır', async () => {
+        const valid = { personal: { name: 'Ayşe Yılmaz', title: '', email: '', phone: '', link: '', summary: '' }, sections: [] };
+        dom.uninstall();
+        await openPage('?bozuk-kayit', {
+            'atsCvTool.versions': JSON.stringify({
+                active: 'Genel CV',
+                versions: { 'Genel CV': { data: { personal: {} } }, 'Başvuru': { data: valid } }
+            })
+        });
+
+        assert.match(dom.document.getElementById('cv-document').innerHTML, /<h1>AD SOYAD<\/h1>/);
+        assert.match(dom.document.getElementById('importReport').textContent, /Okunamayan sürüm boş CV ile açıldı: Genel CV/);
+
+        // Otomatik kayıt onarılmış sürümü yazar, sağlam sürüme dokunmaz
+        mock.timers.tick(500);
+        const store = JSON.parse(localStorage.getItem('atsCvTool.versions'));
+        assert.deepEqual(store.versions['Başvuru'].data, valid);
+        assert.equal(store.versions['Genel CV'].data.sections.length, 3);
+    });
+});
@@ -0,0 +1,200 @@
+// Depo kökünden çalıştır: node --test tests/
+// cv-model.js DOM'a dokunmadığı için bu testler shim gerektirmez.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createDefaultCV, createSection, isCvData, prepareCvData, parseDateRange,
+    renderPreview, buildExportDocument, cvToPlainText, toJsonResume, fromJsonResume, SECTION_TYPES
+} from '../ats-cv-tool/cv-model.js';
+import { findAtsWarnings } from '../ats-cv-tool/ats-analyzer.js';
+
+function sampleCV() {
+    const data = createDefaultCV();
+    data.personal = {
+        name: 'Ayşe Yılmaz',
+        title: 'Planlama Mühendisi',
+        email: 'ayse@ornek.com',
+        phone: '+90 555 000 00 00',
+        link: 'linkedin.com/in/ayse',
+        summary: 'Üretim planlama ve ERP.'
+    };
+    const [experience, education, skills] = data.sections;
+    Object.assign(experience.items[0], {
+        title: 'Planlama Uzmanı', company: 'Acme', date: '03/2021 - Devam', description: '• MRP kurulumu\n• Stok %20 azaldı'
+    });
+    Object.assign(education.items[0], { school: 'İTÜ', department: 'Endüstri Mühendisliği', date: '2019' });
+    skills.content = 'ERP: SAP, IFS\nPython, SQL';
+    return data;
+}
+
+describe('JSON Resume alan eşlemesi', () => {
+    test('kişisel bilgiler basics alanlarına gider', () => {
+        const { basics } = toJsonResume(sampleCV());
+        assert.deepEqual(basics, {
+            name: 'Ayşe Yılmaz',
+            label: 'Planlama Mühendisi',
+            email: 'ayse@ornek.com',
+            phone: '+90 555 000 00 00',
+            url: 'linkedin.com/in/ayse',
+            summary: 'Üretim planlama ve ERP.'
+        });
+    });
+
+    test('bölümler şemadaki listelere, tarihler ISO alanlara dönüşür', () => {
+        const resume = toJsonResume(sampleCV());
+
+        // İkinci deneyim kaydı boş ama yine de aktarılır
+        assert.equal(resume.work.length, 2);
+        assert.deepEqual(resume.work[0], {
+            name: 'Acme', position: 'Planlama Uzmanı', summary: '• MRP kurulumu\n• Stok %20 azaldı', startDate: '2021-03'
+        });
+        assert.deepEqual(resume.education, [{ institution: 'İTÜ', area: 'Endüstri Mühendisliği', endDate: '2019' }]);
+        assert.deepEqual(resume.skills, [
+            { name: 'ERP', keywords: ['SAP', 'IFS'] },
+            { name: 'Python' },
+            { name: 'SQL' }
+        ]);
+    });
+
+    test('ayrıştırılamayan tarih kaybolmaz, özete eklenir', () => {
+        const data = sampleCV();
+        data.sections[0].items[0].date = 'Yaz dönemi';
+        assert.equal(toJsonResume(data).work[0].summary, '• MRP kurulumu\n• Stok %20 azaldı (Yaz dönemi)');
+    });
+
+    test('içe aktarma alanları CV modeline eşler ve aktarılamayanları raporlar', () => {
+        const { data, unmapped } = fromJsonResume({
+            basics: { name: 'Ali Veli', label: 'Analist', profiles: [{ network: 'LinkedIn', username: 'ali', url: 'linkedin.com/in/ali' }] },
+            work: [{ name: 'Beta', position: 'Analist', startDate: '2020-01', endDate: '2022-06', summary: 'Raporlama', highlights: ['Power BI'], url: 'beta.com' }],
+            education: [{ institution: 'ODTÜ', studyType: 'Lisans', area: 'İstatistik', endDate: '2019' }],
+            languages: [{ language: 'İngilizce', fluency: 'C1' }],
+            skills: [{ name: 'Veri', keywords: ['SQL', 'Python'] }]
+        });
+
+        assert.equal(data.personal.name, 'Ali Veli');
+        assert.equal(data.personal.title, 'Analist');
+        assert.equal(data.personal.link, 'linkedin.com/in/ali');
+        assert.deepEqual(data.sections.map(s => s.type), ['experience', 'education', 'languages', 'text']);
+
+        const [work, school, language, skills] = data.sections;
+        assert.equal(work.items[0].company, 'Beta');
+        assert.equal(work.items[0].date, '2020-01 - 2022-06');
+        assert.equal(work.items[0].description, 'Raporlama\n• Power BI');
+        assert.equal(school.items[0].department, 'Lisans, İstatistik');
+        assert.equal(language.items[0].level, 'C1');
+        assert.equal(skills.content, 'Veri: SQL, Python');
+        assert.deepEqual(unmapped, ['work[0].url']);
+    });
+
+    test('dışa ve geri içe aktarma içeriği korur', () => {
+        const original = sampleCV();
+        original.sections.push(createSection('custom', 'Gönüllü Çalışmalar'));
+        original.sections[3].items[0].title = 'Mentor';
+
+        const { data, unmapped } = fromJsonResume(JSON.parse(JSON.stringify(toJsonResume(original))));
+        assert.deepEqual(unmapped, []);
+        assert.deepEqual(data.personal, original.personal);
+        assert.equal(cvToPlainText(prepareCvData(data)), cvToPlainText(original));
+    });
+
+    test('JSON Resume olmayan girdi reddedilir', () => {
+        assert.throws(() => fromJsonResume([]), /Geçerli bir JSON Resume/);
+    });
+});
+
+describe('önizleme ve dışa aktarılan belge', () => {
+    test('dolu alanlar önizlemeye, boş alanlar yerine varsayılan metin yazılır', () => {
+        const data = createDefaultCV();
+        data.personal.name = 'Ayşe <b>Yılmaz</b>';
+        const preview = renderPreview(data);
+
+        assert.equal(preview.className, 'template-classic');
+        assert.equal(preview.lang, 'tr');
+        assert.match(preview.html, /<h1>Ayşe &lt;b&gt;Yılmaz&lt;\/b&gt;<\/h1>/);
+        assert.match(preview.html, /<h3>Ünvan<\/h3>/);
+        assert.match(preview.html, /<span class="job-title">Pozisyon Adı<\/span>/);
+    });
+
+    test('CV dili başlıkları, boş alanları ve tarihleri çevirir', () => {
+        const data = sampleCV();
+        data.language = 'en';
+        data.sections[0].items[1].title = '';
+        const { html, lang } = renderPreview(data);
+
+        assert.equal(lang, 'en');
+        assert.match(html, /<h4>Work Experience<\/h4>/);
+        assert.match(html, /<h4>Summary<\/h4>/);
+        assert.match(html, /Mar 2021 – Present/);
+        assert.match(html, /<span class="job-title">Job Title<\/span>/);
+    });
+
+    test('iki sütunlu şablon yan sütun bölümlerini ayırır', () => {
+        const data = sampleCV();
+        data.template = 'two-column';
+        const { html, className } = renderPreview(data);
+
+        assert.equal(className, 'template-two-column');
+        const sidebar = html.slice(html.indexOf('cv-sidebar'), html.indexOf('cv-main'));
+        assert.match(sidebar, /Yetkinlikler/);
+        assert.doesNotMatch(sidebar, /İş Deneyimi/);
+    });
+
+    test('dışa aktarılan belge boş kayıtları ve varsayılan metinleri atlar', () => {
+        const doc = buildExportDocument(sampleCV());
+
+        assert.deepEqual(doc.contact, ['ayse@ornek.com', '+90 555 000 00 00', 'linkedin.com/in/ayse']);
+        assert.equal(doc.sections[0].items.length, 1);
+        assert.deepEqual(doc.sections[0].items[0], {
+            title: 'Planlama Uzmanı', date: 'Mar 2021 – Devam', sub: 'Acme', desc: '• MRP kurulumu\n• Stok %20 azaldı'
+        });
+        assert.doesNotMatch(cvToPlainText(createDefaultCV()), /AD SOYAD|Pozisyon Adı/);
+    });
+});
+
+describe('tarih ve model yardımcıları', () => {
+    test('serbest tarih metni ISO aralığa çevrilir', () => {
+        assert.deepEqual(parseDateRange('2019 - 2022'), { startDate: '2019', endDate: '2022' });
+        assert.deepEqual(parseDateRange('03/2021 - Devam'), { startDate: '2021-03' });
+        assert.deepEqual(parseDateRange('2019-2022'), { startDate: '2019', endDate: '2022' });
+        assert.deepEqual(parseDateRange('2019'), { endDate: '2019' });
+        assert.deepEqual(parseDateRange('Bahar 2020'), { raw: 'Bahar 2020' });
+    });
+
+    test('saklanan kaydın şekli doğrulanır', () => {
+        assert.equal(isCvData(createDefaultCV()), true);
+        assert.equal(isCvData(sampleCV()), true);
+        assert.equal(isCvData(null), false);
+        assert.equal(isCvData({ personal: {} }), false);
+
+        const personal = createDefaultCV().personal;
+        assert.equal(isCvData({ personal, sections: [{ id: 1, type: 'experience', title: 'X' }] }), false);
+        assert.equal(isCvData({ personal, sections: [{ id: 1, type: 'bilinmeyen', items: [] }] }), false);
+    });
+
+    test('metin alanları eksik ya da metin olmayan kayıt bozuk sayılır', () => {
+        const personal = createDefaultCV().personal;
+        const text = { id: 1, type: 'text', title: 'Yetkinlikler', content: '' };
+
+        // Başlık ve kişisel alanlar olmadan önizleme ve ATS analizi .trim() ile patlıyordu
+        assert.equal(isCvData({ personal: {}, sections: [{ type: 'text', content: '' }] }), false);
+        assert.equal(isCvData({ personal: {}, sections: [text] }), false);
+        assert.equal(isCvData({ personal: { ...personal, phone: 5550000 }, sections: [text] }), false);
+        assert.equal(isCvData({ personal, sections: [{ ...text, title: undefined }] }), false);
+        assert.equal(isCvData({ personal, sections: [{ id: 2, type: 'experience', title: 'X', items: [{ id: 3, date: 2020 }] }] }), false);
+
+        // Eksik kayıt alanı sorun değil, boş gibi okunur
+        const valid = { personal, sections: [text, { id: 2, type: 'experience', title: 'X', items: [{ id: 3, title: 'Analist' }] }] };
+        assert.equal(isCvData(valid), true);
+        assert.doesNotThrow(() => findAtsWarnings(valid, SECTION_TYPES));
+        assert.doesNotThrow(() => renderPreview(valid));
+    });
+
+    test('yüklenen kayda varsayılanlar eklenir, yeni id\'ler çakışmaz', () => {
+        const data = prepareCvData({ personal: {}, sections: [{ id: 40, type: 'experience', title: 'X', items: [{ id: 41 }] }] });
+
+        assert.equal(data.template, 'classic');
+        assert.equal(data.language, 'tr');
+        assert.ok(createSection('text').id > 41);
+    });
+});
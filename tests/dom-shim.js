@@ -0,0 +1,331 @@
+/**
+ * Minimal DOM shim for running the browser modules under Node (node --test).
+ *
+ * Covers what SkillEcosystem (outside headless mode) and the CV tool's page
+ * wiring (ats-cv-tool/script.js) touch: an element tree
+ * with attributes, classes, inline styles, simple selectors and bubbling events;
+ * a canvas whose 2D context draws nothing; and a requestAnimationFrame queue
+ * that only runs when a test flushes it. No dependencies, no network.
+ */
+
+class ClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) { names.forEach(n => this.names.add(n)); }
+    remove(...names) { names.forEach(n => this.names.delete(n)); }
+    contains(name) { return this.names.has(name); }
+
+    toggle(name, force = !this.names.has(name)) {
+        if (force) this.names.add(name); else this.names.delete(name);
+        return force;
+    }
+
+    toString() { return Array.from(this.names).join(' '); }
+}
+
+const toAttrName = key => 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+
+// Supports the selectors the modules use: tag, #id, .class, [attr] and [attr="value"]
+function matchesSelector(element, selector) {
+    const attr = selector.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+    if (attr) {
+        const value = element.getAttribute(attr[1]);
+        return attr[2] === undefined ? value !== null : value === attr[2];
+    }
+    if (selector[0] === '#') return element.id === selector.slice(1);
+    if (selector[0] === '.') return element.classList.contains(selector.slice(1));
+    return element.tagName === selector.toUpperCase();
+}
+
+export class ShimElement {
+    constructor(tagName, ownerDocument) {
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.children = [];
+        this.attributes = new Map();
+        this.classList = new ClassList();
+        this.style = {};
+        this.listeners = {};
+        this.hidden = false;
+        this.textContent = '';
+        this.markup = '';
+        this.rect = { left: 0, top: 0, width: 0, height: 0 };
+
+        // data-* attributes and dataset stay in sync in both directions
+        const element = this;
+        this.dataset = new Proxy({}, {
+            get: (target, key) => element.getAttribute(toAttrName(String(key))) ?? undefined,
+            set: (target, key, value) => {
+                element.setAttribute(toAttrName(String(key)), value);
+                return true;
+            }
+        });
+    }
+
+    get id() { return this.getAttribute('id') || ''; }
+    set id(value) { this.setAttribute('id', value); }
+
+    get className() { return this.classList.toString(); }
+    set className(value) {
+        this.classList = new ClassList();
+        this.classList.add(...String(value).split(/\s+/).filter(Boolean));
+    }
+
+    // Markup is kept as text; only clearing the children is modelled
+    get innerHTML() { return this.markup; }
+    set innerHTML(html) {
+        this.children.forEach(child => { child.parentNode = null; });
+        this.children = [];
+        this.markup = String(html);
+    }
+
+    setAttribute(name, value) {
+        if (name === 'class') this.className = value;
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        if (name === 'class') return this.className;
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) { return this.getAttribute(name) !== null; }
+    removeAttribute(name) { this.attributes.delete(name); }
+
+    appendChild(child) {
+        child.remove();
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    insertAdjacentElement(position, element) {
+        if (position === 'beforeend') return this.appendChild(element);
+        if (position !== 'afterend') throw new Error(`dom-shim: insertAdjacentElement("${position}") is not supported`);
+
+        element.remove();
+        if (this.parentNode) {
+            const siblings = this.parentNode.children;
+            siblings.splice(siblings.indexOf(this) + 1, 0, element);
+        }
+        element.parentNode = this.parentNode;
+        return element;
+    }
+
+    contains(element) {
+        for (let node = element; node; node = node.parentNode) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    matches(selector) { return matchesSelector(this, selector); }
+
+    closest(selector) {
+        for (let node = this; node; node = node.parentNode) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const walk = element => element.children.forEach(child => {
+            if (child.matches(selector)) found.push(child);
+            walk(child);
+        });
+        walk(this);
+        return found;
+    }
+
+    querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        for (let node = this; node; node = event.bubbles ? node.parentNode : null) {
+            event.currentTarget = node;
+            (node.listeners[event.type] || []).slice().forEach(listener => listener(event));
+            if (event.propagationStopped) break;
+        }
+        return !event.defaultPrevented;
+    }
+
+    getBoundingClientRect() {
+        const { left, top, width, height } = this.rect;
+        return { left, top, width, height, x: left, y: top, right: left + width, bottom: top + height };
+    }
+
+    focus() { this.ownerDocument.activeElement = this; }
+    blur() { if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = null; }
+    scrollIntoView() {}
+    setPointerCapture() {}
+    releasePointerCapture() {}
+}
+
+// Every drawing call is accepted and ignored; assigned properties (fillStyle...) are kept
+function createContext2D(canvas) {
+    const gradient = { addColorStop() {} };
+    const context = {
+        canvas,
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        measureText: text => ({ width: String(text).length * 7 })
+    };
+    return new Proxy(context, {
+        get: (target, key) => (key in target ? target[key] : () => {})
+    });
+}
+
+export class ShimCanvas extends ShimElement {
+    constructor(ownerDocument) {
+        super('canvas', ownerDocument);
+        this.width = 300;
+        this.height = 150;
+        this.context = null;
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        return this.context || (this.context = createContext2D(this));
+    }
+}
+
+// Events are plain objects so tests can set target, clientX, pointerId... freely
+export function createEvent(type, init = {}) {
+    return {
+        type,
+        bubbles: false,
+        defaultPrevented: false,
+        propagationStopped: false,
+        preventDefault() { this.defaultPrevented = true; },
+        stopPropagation() { this.propagationStopped = true; },
+        ...init
+    };
+}
+
+class ShimStorage {
+    constructor() { this.items = new Map(); }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+    clear() { this.items.clear(); }
+}
+
+/**
+ * Install window, document and friends as globals.
+ * @param {Object} [options]
+ * @param {number} [options.width=800] - Size reported by elements created through addElement
+ * @param {number} [options.height=600]
+ * @param {boolean} [options.reducedMotion=true] - prefers-reduced-motion answer; true keeps
+ *   SkillEcosystem synchronous (it settles the layout instead of starting the frame loop)
+ * @returns {{ window, document, addElement, flushFrames, pendingFrames, uninstall }}
+ */
+export function installDom(options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 600;
+    const reducedMotion = options.reducedMotion !== false;
+
+    const document = {
+        hidden: false,
+        activeElement: null,
+        listeners: {},
+        body: null,
+        createElement: tag => (tag.toLowerCase() === 'canvas' ? new ShimCanvas(document) : new ShimElement(tag, document)),
+        getElementById: id => document.body.querySelector('#' + id),
+        querySelector: selector => document.body.querySelector(selector),
+        querySelectorAll: selector => document.body.querySelectorAll(selector),
+        addEventListener: ShimElement.prototype.addEventListener,
+        removeEventListener: ShimElement.prototype.removeEventListener,
+        dispatchEvent: ShimElement.prototype.dispatchEvent
+    };
+    document.body = new ShimElement('body', document);
+
+    // requestAnimationFrame only queues; flushFrames(t) runs what is due, like one browser frame
+    let frames = new Map();
+    let nextFrame = 1;
+
+    const window = {
+        document,
+        devicePixelRatio: 1,
+        innerWidth: 1280,
+        innerHeight: 800,
+        listeners: {},
+        location: { hash: '', pathname: '/', search: '' },
+        history: { replaceState() {} },
+        localStorage: new ShimStorage(),
+        matchMedia: query => ({
+            matches: /prefers-reduced-motion: reduce/.test(query) ? reducedMotion : false,
+            addEventListener() {},
+            removeEventListener() {}
+        }),
+        requestAnimationFrame: callback => {
+            frames.set(nextFrame, callback);
+            return nextFrame++;
+        },
+        cancelAnimationFrame: id => { frames.delete(id); },
+        addEventListener: ShimElement.prototype.addEventListener,
+        removeEventListener: ShimElement.prototype.removeEventListener,
+        dispatchEvent: ShimElement.prototype.dispatchEvent
+    };
+
+    const globals = {
+        window,
+        document,
+        localStorage: window.localStorage,
+        history: window.history,
+        requestAnimationFrame: window.requestAnimationFrame,
+        cancelAnimationFrame: window.cancelAnimationFrame
+    };
+    const previous = {};
+    Object.keys(globals).forEach(key => {
+        previous[key] = Object.getOwnPropertyDescriptor(globalThis, key);
+        Object.defineProperty(globalThis, key, { value: globals[key], configurable: true, writable: true });
+    });
+
+    return {
+        window,
+        document,
+
+        // Create an element with an id, laid out at the given size, and attach it to the body
+        addElement(tag, id, rect = { left: 0, top: 0, width, height }) {
+            const element = document.createElement(tag);
+            element.id = id;
+            element.rect = { ...rect };
+            return document.body.appendChild(element);
+        },
+
+        flushFrames(timestamp = 0) {
+            const due = frames;
+            frames = new Map();
+            due.forEach(callback => callback(timestamp));
+            return due.size;
+        },
+
+        pendingFrames: () => frames.size,
+
+        uninstall() {
+            Object.keys(previous).forEach(key => {
+                if (previous[key]) Object.defineProperty(globalThis, key, previous[key]);
+                else delete globalThis[key];
+            });
+        }
+    };
+}
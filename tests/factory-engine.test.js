@@ -0,0 +1,206 @@
+// Run from the repository root: node --test tests/
+// factory-engine.js is a classic script with a CommonJS export for Node, no DOM needed.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import engine from '../factory-engine.js';
+
+const {
+    createRandom, sampleProcessingTime, sampleTimeToFailure, sampleRepairTime, normalizeScenario,
+    createSimulation, advanceSimulation, resetStatistics, simulationSummary, analyzeBottlenecks,
+    confidenceInterval, runReplications, theoreticalOutputRate
+} = engine;
+
+// Three stations; welding is the slowest, painting scraps some units and sends
+// some back to welding, so the routing has a loop
+function line(changes = {}) {
+    return normalizeScenario({
+        name: 'Test', seed: 7, inputRate: 0.8, arrivalDist: 'exponential',
+        products: [{ id: 'a', mix: 2 }, { id: 'b', mix: 1 }],
+        stations: [
+            { id: 1, name: 'Kesim', machines: 1, processingTime: 0.5, bufferSize: 5, mtbf: 400, mttr: 8 },
+            { id: 2, name: 'Kaynak', machines: 2, processingTime: 1.6, productTimes: { b: 2 }, bufferSize: 5, mtbf: 400, mttr: 8 },
+            { id: 3, name: 'Boya', machines: 1, processingTime: 0.6, bufferSize: 5, mtbf: 400, mttr: 8, quality: { reworkRate: 10, scrapRate: 5, reworkTo: 2 } }
+        ],
+        ...changes
+    });
+}
+
+function run(scenario, until, seed = scenario.seed) {
+    return advanceSimulation(createSimulation(scenario, seed, { log: true }), until);
+}
+
+const assertNear = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+
+describe('samplers', () => {
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const draw = (n, sample) => {
+        const random = createRandom(1);
+        return Array.from({ length: n }, () => sample(random));
+    };
+
+    test('processing times keep their mean and bounds', () => {
+        const triangular = draw(20000, r => sampleProcessingTime(10, { dist: 'triangular', spread: 20 }, r));
+        assertNear(mean(triangular), 10, 0.05);
+        assert.ok(Math.min(...triangular) >= 8 && Math.max(...triangular) <= 12);
+
+        const normal = draw(20000, r => sampleProcessingTime(10, { dist: 'normal', spread: 10 }, r));
+        assertNear(mean(normal), 10, 0.05);
+        // Truncated at 5% of the mean even with a huge spread
+        assert.ok(draw(2000, r => sampleProcessingTime(10, { dist: 'normal', spread: 300 }, r)).every(v => v >= 0.5));
+
+        assertNear(mean(draw(20000, r => sampleProcessingTime(10, { dist: 'exponential' }, r))), 10, 0.3);
+        assert.deepEqual(draw(3, r => sampleProcessingTime(10, { dist: 'constant' }, r)), [10, 10, 10]);
+    });
+
+    test('failures and repairs are scaled to MTBF and MTTR', () => {
+        assertNear(mean(draw(20000, r => sampleTimeToFailure(400, { dist: 'weibull', shape: 1.5 }, r))), 400, 8);
+        assertNear(mean(draw(20000, r => sampleTimeToFailure(400, { dist: 'exponential' }, r))), 400, 12);
+
+        const repairs = draw(20000, r => sampleRepairTime(8, { dist: 'lognormal', cv: 0.5 }, r));
+        const m = mean(repairs);
+        const sd = Math.sqrt(repairs.reduce((sum, v) => sum + (v - m) * (v - m), 0) / repairs.length);
+        assertNear(m, 8, 0.15);
+        assertNear(sd / m, 0.5, 0.03);
+        assert.equal(sampleRepairTime(8, { dist: 'constant', cv: 0.5 }, Math.random), 8);
+    });
+});
+
+describe('simulation', () => {
+    test('a seeded run is deterministic', () => {
+        const first = run(line(), 3000);
+        const second = run(line(), 3000);
+
+        assert.deepEqual(second.log.events, first.log.events);
+        assert.deepEqual(simulationSummary(second), simulationSummary(first));
+        assert.notDeepEqual(run(line(), 3000, 8).log.events, first.log.events);
+    });
+
+    test('advancing in slices gives the same run as one jump', () => {
+        const sim = createSimulation(line(), 7, { log: true });
+        for (let t = 0.7; t < 3000; t += 0.7) advanceSimulation(sim, t);
+        advanceSimulation(sim, 3000);
+
+        assert.deepEqual(sim.log.events, run(line(), 3000).log.events);
+    });
+
+    test('events are handled in time order and the queue stays a heap', () => {
+        // With constant whole-unit times arrivals and finishes fall on the same
+        // instants, so ties have to be broken by scheduling order
+        const constant = { dist: 'constant' };
+        const stations = line().stations.map(s => ({ ...s, processingTime: 1, productTimes: {}, process: constant, repair: constant }));
+        const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);
+
+        for (const scenario of [line(), line({ arrivalDist: 'constant', inputRate: 1, stations })]) {
+            const sim = createSimulation(scenario, 7, { log: true });
+            for (const until of [1, 10, 250, 1000, 3000]) {
+                advanceSimulation(sim, until);
+                const heap = sim.events;
+                assert.ok(heap.every(event => event.time > until));
+                heap.forEach((event, i) => {
+                    if (i) assert.ok(before(heap[(i - 1) >> 1], event), `heap order broken at ${i}`);
+                });
+            }
+
+            const times = sim.log.events.map(e => e.time);
+            assert.ok(times.length > 1000);
+            times.slice(1).forEach((time, i) => assert.ok(time >= times[i], `event ${i + 1} at ${time} after ${times[i]}`));
+        }
+    });
+
+    test('every accepted unit is in the line, delivered or scrapped', () => {
+        const sim = run(line(), 5000);
+        const count = type => sim.log.events.filter(e => e.type === type).length;
+        const inLine = sim.stations.reduce((sum, station) =>
+            sum + station.buffer.length + station.machines.filter(m => m.currentItem).length, 0);
+        const summary = simulationSummary(sim);
+
+        assert.equal(count('arrival'), sim.nextItemId - 1);
+        assert.equal(count('deliver'), sim.totalProduced);
+        assert.equal(count('scrap'), sim.totalScrapped);
+        assert.equal(count('lost'), sim.lostArrivals);
+        assert.equal(sim.wip, inLine);
+        assert.equal(sim.totalProduced + sim.totalScrapped + sim.wip, sim.nextItemId - 1);
+
+        assert.equal(summary.throughput, sim.totalProduced / 5000);
+        assert.equal(summary.cycleTime, sim.deliveryTimes.reduce((a, b) => a + b, 0) / sim.totalProduced);
+        assert.ok(summary.wip > 0 && summary.wip <= 4 + 3 * 5 + 1);
+        // Below capacity the line delivers what arrives, minus scrap and lost arrivals
+        assertNear(summary.throughput, theoreticalOutputRate(line()), 0.05);
+    });
+
+    test('statistics restart after a warm-up but units keep flowing', () => {
+        const sim = run(line(), 1000);
+        const wip = sim.wip;
+        resetStatistics(sim);
+        const summary = simulationSummary(advanceSimulation(sim, 1000));
+
+        assert.equal(sim.wip, wip);
+        assert.equal(summary.produced, 0);
+        assert.equal(summary.duration, 0);
+        assert.equal(simulationSummary(advanceSimulation(sim, 2000)).duration, 1000);
+    });
+});
+
+describe('bottleneck analysis', () => {
+    test('the overloaded station is the bottleneck most of the time', () => {
+        // Twice the input welding can take: welding works nonstop, the others wait on it
+        const sim = run(line({ inputRate: 2 }), 5000);
+        const bottlenecks = analyzeBottlenecks(sim);
+        const [cutting, welding, painting] = bottlenecks;
+
+        assert.deepEqual(bottlenecks.map(b => b.name), ['Kesim', 'Kaynak', 'Boya']);
+        assert.ok(welding.total > 0.9, `welding ${welding.total}`);
+        assert.ok(cutting.total < 0.1 && painting.total < 0.1);
+        assert.equal(Math.max(...simulationSummary(sim).utilisation), simulationSummary(sim).utilisation[1]);
+    });
+
+    test('shares stay within the observation period', () => {
+        const bottlenecks = analyzeBottlenecks(run(line(), 5000));
+
+        bottlenecks.forEach(b => {
+            assert.ok(b.sole >= 0 && b.shifting >= 0 && b.total <= b.active + 1e-9);
+            assertNear(b.total, b.sole + b.shifting, 1e-12);
+            assert.ok(b.availability > 0.9 && b.availability <= 1);
+        });
+        // Shifting time is counted for both stations of an overlap, sole time only once
+        assert.ok(bottlenecks.reduce((sum, b) => sum + b.sole, 0) <= 1 + 1e-9);
+        assert.equal(bottlenecks.reduce((best, b) => (b.total > best.total ? b : best)).name, 'Kaynak');
+    });
+});
+
+describe('replications', () => {
+    test('confidence interval uses the t distribution', () => {
+        const ci = confidenceInterval([1, 2, 3, 4, 5]);
+        assert.equal(ci.mean, 3);
+        assertNear(ci.halfWidth, 2.776 * Math.sqrt(2.5 / 5), 1e-12);
+        assert.equal(ci.min, 1);
+        assert.equal(ci.max, 5);
+
+        assert.deepEqual(confidenceInterval([4]), { mean: 4, halfWidth: 0, min: 4, max: 4 });
+        // Normal approximation past 30 degrees of freedom
+        const many = Array.from({ length: 40 }, (_, i) => i % 2);
+        assertNear(confidenceInterval(many).halfWidth, 1.96 * Math.sqrt(40 / 39 * 0.25 / 40), 1e-12);
+    });
+
+    test('replication r runs with seed + r after the warm-up', () => {
+        const scenario = line();
+        const result = runReplications(scenario, { replications: 4, duration: 2000, warmup: 300 });
+
+        result.runs.forEach((summary, r) => {
+            const sim = advanceSimulation(createSimulation(scenario, 7 + r), 300);
+            resetStatistics(sim);
+            assert.deepEqual(summary, simulationSummary(advanceSimulation(sim, 2300)));
+        });
+        assert.deepEqual(result.throughput, confidenceInterval(result.runs.map(run => run.throughput)));
+        assert.equal(result.utilisation[1].name, 'Kaynak');
+    });
+
+    test('the interval around the mean throughput covers the theoretical rate', () => {
+        const { throughput } = runReplications(line(), { replications: 8, duration: 5000, warmup: 500 });
+
+        assert.ok(throughput.halfWidth > 0 && throughput.halfWidth < 0.02);
+        assertNear(throughput.mean, theoreticalOutputRate(line()), throughput.halfWidth);
+    });
+});
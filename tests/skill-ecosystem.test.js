@@ -0,0 +1,251 @@
+// Run from the repository root: node --test tests/
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { SkillEcosystem } from '../skill-ecosystem.js';
+import { installDom, createEvent } from './dom-shim.js';
+
+const skills = JSON.parse(readFileSync(new URL('../skills.json', import.meta.url), 'utf8'));
+
+const node = (name, category = 'core') => ({ name, category, color: '#00f2ff' });
+
+function headless(data, options = {}) {
+    return new SkillEcosystem(null, null, { headless: true, width: 800, height: 600, seed: 7, data, ...options });
+}
+
+// Ring of n nodes plus a few chords, enough for repulsion and springs to fight
+function ringGraph(n) {
+    const nodes = Array.from({ length: n }, (_, i) => node('N' + i, ['core', 'technical'][i % 2]));
+    const edges = nodes.map((_, i) => ({ from: 'N' + i, to: 'N' + ((i + 1) % n) }));
+    edges.push({ from: 'N0', to: 'N' + Math.floor(n / 2), weight: 3 });
+    return { nodes, edges };
+}
+
+function assertInsideBounds(eco) {
+    eco.nodes.forEach(n => {
+        const margin = n.radius + 10;
+        assert.ok(n.x >= margin && n.x <= eco.width - margin, `${n.name}.x = ${n.x} is outside the canvas`);
+        assert.ok(n.y >= margin && n.y <= eco.height - margin, `${n.name}.y = ${n.y} is outside the canvas`);
+    });
+}
+
+describe('edge construction', () => {
+    test('every edge becomes a connection between the node objects', () => {
+        const eco = headless({
+            nodes: [node('A'), node('B'), node('C')],
+            edges: [{ from: 'A', to: 'B', weight: 2 }, { from: 'B', to: 'C' }]
+        });
+
+        assert.equal(eco.connections.length, 2);
+        assert.equal(eco.connections[0].from, eco.getNode('A'));
+        assert.equal(eco.connections[0].to, eco.getNode('B'));
+        assert.deepEqual(eco.connections.map(c => c.weight), [2, 1]);
+        assert.deepEqual(eco.getNeighbours(eco.getNode('B')).map(n => n.name).sort(), ['A', 'C']);
+    });
+
+    test('the shipped skills.json builds without errors', () => {
+        const eco = headless(skills);
+
+        assert.equal(eco.nodes.length, skills.nodes.length);
+        assert.equal(eco.connections.length, skills.edges.length);
+        eco.connections.forEach(c => {
+            assert.ok(eco.nodes.includes(c.from) && eco.nodes.includes(c.to));
+        });
+    });
+
+    test('invalid edges are all reported in one error', () => {
+        const eco = headless();
+        assert.throws(() => eco.setData({
+            nodes: [node('A'), node('B')],
+            edges: [{ from: 'A', to: 'Missing' }, { from: 'B', to: 'B' }, { from: 'A', to: 'B', weight: -1 }]
+        }), error => {
+            assert.deepEqual(error.details, [
+                'edges[0].to references unknown node "Missing"',
+                'edges[1] connects "B" to itself',
+                'edges[2].weight must be a positive number'
+            ]);
+            return true;
+        });
+    });
+
+    test('addEdge links existing nodes and removeNode drops its edges', () => {
+        const eco = headless({ nodes: [node('A'), node('B'), node('C')], edges: [] });
+
+        const connection = eco.addEdge('A', 'B');
+        assert.equal(connection.weight, 1);
+        assert.throws(() => eco.addEdge('A', 'Nope'), /cannot add edge/);
+
+        eco.addEdge('B', 'C', 0.5);
+        eco.removeNode('B');
+        assert.deepEqual(eco.connections, []);
+    });
+});
+
+describe('physics invariants', () => {
+    test('nodes stay inside the canvas on every tick', () => {
+        const eco = headless(ringGraph(40), { width: 400, height: 300 });
+
+        // Start a few nodes far outside, the first tick has to bring them back
+        eco.nodes[0].x = -500;
+        eco.nodes[1].y = 5000;
+        eco.nodes[2].vx = 1e4;
+
+        for (let t = 0; t < 300; t++) {
+            eco.updatePhysics();
+            assertInsideBounds(eco);
+        }
+    });
+
+    test('a dragged node is not moved by the simulation', () => {
+        const eco = headless(ringGraph(20));
+        const dragged = eco.getNode('N0');
+        const others = eco.nodes.filter(n => n !== dragged).map(n => ({ n, x: n.x, y: n.y }));
+        eco.draggedNode = dragged;
+        const { x, y } = dragged;
+
+        for (let t = 0; t < 200; t++) eco.updatePhysics();
+
+        assert.equal(dragged.x, x);
+        assert.equal(dragged.y, y);
+        assert.ok(others.some(o => o.n.x !== o.x || o.n.y !== o.y), 'the other nodes should still move');
+    });
+
+    test('a pinned node keeps its place but still pushes its neighbours', () => {
+        const eco = headless(ringGraph(20));
+        const pinned = eco.getNode('N5');
+        pinned.pinned = true;
+        const { x, y } = pinned;
+
+        eco.settle();
+
+        assert.equal(pinned.x, x);
+        assert.equal(pinned.y, y);
+        eco.nodes.filter(n => n !== pinned).forEach(n => {
+            assert.ok(Math.hypot(n.x - x, n.y - y) > 1, `${n.name} should not sit on the pinned node`);
+        });
+    });
+
+    test('the same seed gives the same layout', () => {
+        const layout = () => {
+            const eco = headless(ringGraph(15));
+            eco.settle(200);
+            return eco.nodes.map(n => [n.x, n.y]);
+        };
+        assert.deepEqual(layout(), layout());
+    });
+});
+
+describe('in the page (DOM shim)', () => {
+    async function mount(options) {
+        const dom = installDom(options);
+        const canvas = dom.addElement('canvas', 'skillCanvas', { left: 20, top: 50, width: 800, height: 600 });
+        dom.addElement('div', 'skillPopup');
+        const eco = new SkillEcosystem('skillCanvas', 'skillPopup', { data: ringGraph(12), seed: 3 });
+        await eco.ready;
+
+        const pointer = (type, x, y) => canvas.dispatchEvent(createEvent(type, {
+            pointerId: 1, pointerType: 'mouse', clientX: 20 + x, clientY: 50 + y
+        }));
+        const done = () => {
+            eco.destroy();
+            dom.uninstall();
+        };
+        return { dom, canvas, eco, pointer, done };
+    }
+
+    test('sets the canvas up and mirrors every node in the accessible list', async () => {
+        const { canvas, eco, done } = await mount();
+
+        assert.equal(eco.width, 800);
+        assert.equal(eco.height, 600);
+        assert.equal(canvas.getAttribute('aria-hidden'), 'true');
+        assert.equal(eco.a11yList.querySelectorAll('button').length, eco.nodes.length);
+        assertInsideBounds(eco);
+        done();
+    });
+
+    test('dragging a node keeps it under the pointer, and dropping pins it', async () => {
+        const { dom, eco, pointer, done } = await mount();
+        const target = eco.nodes[4];
+        const start = eco.worldToScreen(target.x, target.y);
+
+        pointer('pointerdown', start.x, start.y);
+        assert.equal(eco.draggedNode, target);
+        assert.equal(target.x, eco.screenToWorld(start.x, start.y).x);
+
+        // Reduced motion steps the layout on every move; the held node must not drift
+        pointer('pointermove', start.x + 60, start.y - 40);
+        const held = eco.screenToWorld(start.x + 60, start.y - 40);
+        assert.equal(target.x, held.x);
+        assert.equal(target.y, held.y);
+
+        pointer('pointerup', start.x + 60, start.y - 40);
+        assert.equal(eco.draggedNode, null);
+        assert.equal(target.pinned, true);
+
+        eco.settle();
+        assert.equal(target.x, held.x);
+        assert.equal(target.y, held.y);
+
+        // Queued frames draw against the stub context without throwing
+        assert.ok(dom.flushFrames(16) > 0);
+        done();
+    });
+
+    test('names, descriptions and categories from the data are shown as text, not markup', async () => {
+        const { dom, eco, done } = await mount();
+        const payload = '<img src=x onerror="alert(1)">';
+        eco.addNode({ name: payload, category: payload, color: '#00f2ff', description: payload, projects: [payload] });
+
+        const popup = dom.document.getElementById('skillPopup');
+        eco.showPopup(eco.getNode(payload));
+        assert.equal(popup.innerHTML, '');
+        assert.deepEqual(popup.children.map(el => el.textContent).slice(0, 2), [payload, payload]);
+        assert.equal(popup.querySelectorAll('span')[1].textContent, payload);
+
+        const legendButton = eco.legendCategories.children.find(b => b.dataset.category === payload);
+        assert.equal(legendButton.innerHTML, '');
+        assert.equal(legendButton.children[1].textContent, payload);
+        done();
+    });
+
+    test('with reduced motion a drag steps once per move and settles on drop', async () => {
+        const { eco, pointer, done } = await mount();
+        const target = eco.nodes[2];
+        const start = eco.worldToScreen(target.x, target.y);
+        let ticks = 0;
+        const updatePhysics = eco.updatePhysics;
+        eco.updatePhysics = function () {
+            ticks++;
+            return updatePhysics.call(this);
+        };
+
+        pointer('pointerdown', start.x, start.y);
+        for (let i = 1; i <= 5; i++) pointer('pointermove', start.x + i * 20, start.y);
+        assert.equal(ticks, 6);
+
+        pointer('pointerup', start.x + 100, start.y);
+        assert.ok(ticks > 7, `expected a settle() on drop, got ${ticks - 6} tick(s)`);
+        done();
+    });
+
+    test('the animation loop falls asleep after a category is filtered out', async () => {
+        const { dom, eco, done } = await mount({ reducedMotion: false });
+        let clock = 0;
+        const runFrames = () => {
+            for (let frame = 0; frame < 5000 && dom.pendingFrames(); frame++) dom.flushFrames(clock += 16);
+        };
+
+        runFrames();
+        assert.equal(eco.sleeping, true);
+
+        // Hidden nodes keep no momentum, so the energy can drop below the threshold again
+        eco.setCategoryVisible('technical', false);
+        assert.equal(eco.sleeping, false);
+        runFrames();
+        assert.equal(eco.sleeping, true);
+        assert.ok(eco.kineticEnergy() < eco.sleepThreshold);
+        done();
+    });
+});